@@ -0,0 +1,63 @@
+import type { ICredentialType, INodeProperties } from 'n8n-workflow';
+
+export class GitExtendedSigningApi implements ICredentialType {
+	name = 'gitExtendedSigningApi';
+	displayName = 'Git Extended Signing Key';
+	documentationUrl = 'gitExtended';
+	properties: INodeProperties[] = [
+		{
+			displayName: 'Key Type',
+			name: 'format',
+			type: 'options',
+			options: [
+				{
+					name: 'GPG',
+					value: 'openpgp',
+					description: 'Sign with an OpenPGP key through gpg',
+				},
+				{
+					name: 'SSH',
+					value: 'ssh',
+					description: 'Sign with an SSH key through ssh-keygen',
+				},
+			],
+			default: 'openpgp',
+		},
+		{
+			displayName: 'Private Key',
+			name: 'privateKey',
+			type: 'string',
+			typeOptions: {
+				password: true,
+				rows: 4,
+			},
+			default: '',
+			required: true,
+			description:
+				'The ASCII-armored GPG private key, or the SSH private key in OpenSSH or PEM format',
+		},
+		{
+			displayName: 'Passphrase',
+			name: 'passphrase',
+			type: 'string',
+			typeOptions: {
+				password: true,
+			},
+			default: '',
+			description: 'The passphrase used to decrypt the private key, if any',
+		},
+		{
+			displayName: 'Key ID',
+			name: 'keyId',
+			type: 'string',
+			default: '',
+			description:
+				'ID or fingerprint of the key to sign with. Leave empty to use the first secret key in the private key.',
+			displayOptions: {
+				show: {
+					format: ['openpgp'],
+				},
+			},
+		},
+	];
+}
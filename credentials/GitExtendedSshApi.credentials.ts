@@ -0,0 +1,54 @@
+import type { ICredentialType, INodeProperties } from 'n8n-workflow';
+
+export class GitExtendedSshApi implements ICredentialType {
+	name = 'gitExtendedSshApi';
+	displayName = 'Git Extended SSH Key';
+	documentationUrl = 'gitExtended';
+	properties: INodeProperties[] = [
+		{
+			displayName: 'Private Key',
+			name: 'privateKey',
+			type: 'string',
+			typeOptions: {
+				password: true,
+				rows: 4,
+			},
+			default: '',
+			required: true,
+			description: 'The private key in OpenSSH or PEM format',
+		},
+		{
+			displayName: 'Passphrase',
+			name: 'passphrase',
+			type: 'string',
+			typeOptions: {
+				password: true,
+			},
+			default: '',
+			description: 'The passphrase used to decrypt the private key, if any',
+		},
+		{
+			displayName: 'Strict Host Key Checking',
+			name: 'strictHostKeyChecking',
+			type: 'boolean',
+			default: true,
+			description: 'Whether to refuse connections to hosts whose key is not in the known hosts',
+		},
+		{
+			displayName: 'Known Hosts',
+			name: 'knownHosts',
+			type: 'string',
+			typeOptions: {
+				rows: 4,
+			},
+			default: '',
+			description:
+				'Known hosts entries to verify the remote against. Leave empty to use the known hosts of the user running n8n.',
+			displayOptions: {
+				show: {
+					strictHostKeyChecking: [true],
+				},
+			},
+		},
+	];
+}
@@ -0,0 +1,51 @@
+import type { ICredentialType, INodeProperties } from 'n8n-workflow';
+
+export class GitExtendedTokenApi implements ICredentialType {
+	name = 'gitExtendedTokenApi';
+	displayName = 'Git Extended Access Token';
+	documentationUrl = 'gitExtended';
+	properties: INodeProperties[] = [
+		{
+			displayName: 'Access Token',
+			name: 'token',
+			type: 'string',
+			typeOptions: {
+				password: true,
+			},
+			default: '',
+			required: true,
+			description: 'A personal access token or OAuth token for the Git host',
+		},
+		{
+			displayName: 'Send As',
+			name: 'method',
+			type: 'options',
+			options: [
+				{
+					name: 'Bearer Header',
+					value: 'bearer',
+					description: 'Send an "Authorization: Bearer" header using http.extraHeader',
+				},
+				{
+					name: 'Username and Token',
+					value: 'basic',
+					description: 'Send the token as the password for the username below',
+				},
+			],
+			default: 'basic',
+		},
+		{
+			displayName: 'Username',
+			name: 'username',
+			type: 'string',
+			default: 'x-access-token',
+			description:
+				'The username sent with the token. GitHub accepts x-access-token, GitLab expects oauth2 for OAuth tokens, Gitea and Azure DevOps accept any value.',
+			displayOptions: {
+				show: {
+					method: ['basic'],
+				},
+			},
+		},
+	];
+}
@@ -1,3 +1,4 @@
 import { GitExtended } from './nodes/GitExtended/GitExtended.node';
+import { GitExtendedTrigger } from './nodes/GitExtendedTrigger/GitExtendedTrigger.node';
 
-export const nodes = [GitExtended];
+export const nodes = [GitExtended, GitExtendedTrigger];
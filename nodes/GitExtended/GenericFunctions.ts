@@ -0,0 +1,1109 @@
+import type { IDataObject } from 'n8n-workflow';
+import { execFile as execFileCallback } from 'child_process';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import { hostname, tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { promisify } from 'util';
+
+const execFile = promisify(execFileCallback);
+
+// Parses `git status --porcelain=v2 --branch -z` output
+export function parseStatus(output: string): IDataObject {
+	const result = {
+		branch: null as string | null,
+		commit: null as string | null,
+		detached: false,
+		upstream: null as string | null,
+		ahead: 0,
+		behind: 0,
+		clean: true,
+		hasConflicts: false,
+		staged: [] as IDataObject[],
+		unstaged: [] as IDataObject[],
+		untracked: [] as IDataObject[],
+		renamed: [] as IDataObject[],
+		conflicted: [] as IDataObject[],
+	};
+
+	const entries = output.split('\0');
+	for (let i = 0; i < entries.length; i++) {
+		const entry = entries[i];
+		if (!entry) continue;
+
+		if (entry.startsWith('# ')) {
+			const [key, ...rest] = entry.slice(2).split(' ');
+			const value = rest.join(' ');
+			if (key === 'branch.oid') {
+				result.commit = value === '(initial)' ? null : value;
+			} else if (key === 'branch.head') {
+				result.detached = value === '(detached)';
+				result.branch = result.detached ? null : value;
+			} else if (key === 'branch.upstream') {
+				result.upstream = value;
+			} else if (key === 'branch.ab') {
+				const match = /^\+(\d+) -(\d+)$/.exec(value);
+				if (match) {
+					result.ahead = Number(match[1]);
+					result.behind = Number(match[2]);
+				}
+			}
+			continue;
+		}
+
+		const type = entry[0];
+		if (type === '1') {
+			// 1 <XY> <sub> <mH> <mI> <mW> <hH> <hI> <path>
+			const fields = entry.split(' ');
+			const xy = fields[1];
+			const path = fields.slice(8).join(' ');
+			if (xy[0] !== '.') result.staged.push({ path, status: xy[0] });
+			if (xy[1] !== '.') result.unstaged.push({ path, status: xy[1] });
+		} else if (type === '2') {
+			// 2 <XY> <sub> <mH> <mI> <mW> <hH> <hI> <X><score> <path>, followed by <origPath>
+			const fields = entry.split(' ');
+			const xy = fields[1];
+			const path = fields.slice(9).join(' ');
+			const from = entries[++i];
+			result.renamed.push({
+				path,
+				from,
+				status: xy,
+				kind: fields[8][0] === 'C' ? 'copy' : 'rename',
+				score: Number(fields[8].slice(1)),
+			});
+			if (xy[0] !== '.') result.staged.push({ path, status: xy[0] });
+			if (xy[1] !== '.') result.unstaged.push({ path, status: xy[1] });
+		} else if (type === 'u') {
+			// u <XY> <sub> <m1> <m2> <m3> <mW> <h1> <h2> <h3> <path>
+			const fields = entry.split(' ');
+			result.conflicted.push({ path: fields.slice(10).join(' '), status: fields[1] });
+		} else if (type === '?') {
+			result.untracked.push({ path: entry.slice(2) });
+		}
+	}
+
+	result.hasConflicts = result.conflicted.length > 0;
+	result.clean =
+		result.staged.length === 0 &&
+		result.unstaged.length === 0 &&
+		result.untracked.length === 0 &&
+		result.renamed.length === 0 &&
+		!result.hasConflicts;
+
+	return result;
+}
+
+// Record and field separators used in the `git log --format` string below
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
+export const LOG_FORMAT = [
+	'%x1e%H',
+	'%P',
+	'%an',
+	'%ae',
+	'%aI',
+	'%cn',
+	'%ce',
+	'%cI',
+	'%s',
+	'%b',
+	'',
+].join('%x1f');
+
+// Parses `git log --format=${LOG_FORMAT} --name-status` output
+export function parseLog(output: string): IDataObject[] {
+	const commits: IDataObject[] = [];
+	for (const record of output.split(RECORD_SEPARATOR)) {
+		if (!record.trim()) continue;
+		const fields = record.split(FIELD_SEPARATOR);
+		const files: IDataObject[] = [];
+		for (const line of (fields[10] ?? '').split('\n')) {
+			if (!line.trim()) continue;
+			const [status, ...paths] = line.split('\t');
+			const file: IDataObject = { status: status[0], path: paths[paths.length - 1] };
+			if (paths.length > 1) file.from = paths[0];
+			files.push(file);
+		}
+		commits.push({
+			hash: fields[0],
+			parents: fields[1] ? fields[1].split(' ') : [],
+			author: { name: fields[2], email: fields[3], date: fields[4] },
+			committer: { name: fields[5], email: fields[6], date: fields[7] },
+			subject: fields[8],
+			body: fields[9].trim(),
+			files,
+		});
+	}
+	return commits;
+}
+
+// Formats a Unix timestamp and a `+hhmm` zone as ISO 8601 in that zone, like `%aI` in git log
+function formatGitTime(seconds: number, zone: string) {
+	const sign = zone.startsWith('-') ? -1 : 1;
+	const offset = sign * (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(3, 5)));
+	const local = new Date((seconds + offset * 60) * 1000).toISOString().slice(0, 19);
+	return `${local}${zone.slice(0, 3)}:${zone.slice(3, 5)}`;
+}
+
+// Parses `git blame --porcelain` output into one item per line. Commit details are only printed
+// the first time a commit appears, so they are kept per commit for the following lines.
+export function parseBlame(output: string): IDataObject[] {
+	const commits = new Map<string, Record<string, string>>();
+	const lines: IDataObject[] = [];
+	let current: { commit: string; originalLine: number; line: number; filename?: string } | undefined;
+	for (const line of output.split('\n')) {
+		if (line.startsWith('\t') && current) {
+			const info = commits.get(current.commit) ?? {};
+			if (current.filename) info.filename = current.filename;
+			lines.push({
+				line: current.line,
+				originalLine: current.originalLine,
+				content: line.slice(1),
+				commit: current.commit,
+				author: {
+					name: info.author,
+					email: (info['author-mail'] ?? '').replace(/^<|>$/g, ''),
+					date: formatGitTime(Number(info['author-time']), info['author-tz'] ?? '+0000'),
+				},
+				summary: info.summary,
+				path: info.filename,
+			});
+			current = undefined;
+			continue;
+		}
+		const header = /^([0-9a-f]{40,64}) (\d+) (\d+)/.exec(line);
+		if (header) {
+			current = { commit: header[1], originalLine: Number(header[2]), line: Number(header[3]) };
+			if (!commits.has(current.commit)) commits.set(current.commit, {});
+			continue;
+		}
+		if (!current) continue;
+		const [key, ...value] = line.split(' ');
+		if (key === 'filename') current.filename = value.join(' ');
+		else commits.get(current.commit)![key] = value.join(' ');
+	}
+	return lines;
+}
+
+// Merges consecutive blamed lines that come from the same commit into hunks
+export function groupBlameHunks(lines: IDataObject[]): IDataObject[] {
+	const hunks: IDataObject[] = [];
+	let hunk: IDataObject | undefined;
+	for (const { line, originalLine, content, ...details } of lines) {
+		if (hunk && hunk.commit === details.commit && hunk.endLine === (line as number) - 1) {
+			hunk.endLine = line;
+			(hunk.lines as string[]).push(content as string);
+			continue;
+		}
+		hunk = {
+			startLine: line,
+			endLine: line,
+			originalStartLine: originalLine,
+			...details,
+			lines: [content],
+		};
+		hunks.push(hunk);
+	}
+	for (const entry of hunks) {
+		entry.lineCount = (entry.endLine as number) - (entry.startLine as number) + 1;
+	}
+	return hunks;
+}
+
+// Parses `git grep --null --line-number --column` output into one item per match. Matches have a
+// column and context lines do not; context is taken from the lines printed around each match.
+export function parseGrep(output: string, ref: string, contextLines: number): IDataObject[] {
+	const matches: IDataObject[] = [];
+	// Lines printed for one file in one block; blocks are separated by `--`
+	let block = new Map<number, string>();
+	let blockPath: string | undefined;
+	let blockMatches: IDataObject[] = [];
+	const flush = () => {
+		for (const match of blockMatches) {
+			const line = match.line as number;
+			const around = (from: number, to: number) => {
+				const lines: string[] = [];
+				for (let number = from; number <= to; number++) {
+					if (block.has(number)) lines.push(block.get(number)!);
+				}
+				return lines;
+			};
+			match.before = around(line - contextLines, line - 1);
+			match.after = around(line + 1, line + contextLines);
+			matches.push(match);
+		}
+		block = new Map();
+		blockMatches = [];
+	};
+	for (const entry of output.split('\n')) {
+		if (entry === '--') {
+			flush();
+			continue;
+		}
+		const fields = entry.split('\0');
+		if (fields.length < 3) continue;
+		// Matches at a ref are printed as `ref:path`
+		const path =
+			ref && fields[0].startsWith(`${ref}:`) ? fields[0].slice(ref.length + 1) : fields[0];
+		if (path !== blockPath) flush();
+		blockPath = path;
+		const line = Number(fields[1]);
+		const text = fields.slice(fields.length === 3 ? 2 : 3).join('\0');
+		block.set(line, text);
+		if (fields.length > 3) {
+			blockMatches.push({ path, line, column: Number(fields[2]), text });
+		}
+	}
+	flush();
+	return matches;
+}
+
+export const BRANCH_FORMAT = [
+	'%(HEAD)',
+	'%(refname)',
+	'%(refname:short)',
+	'%(symref)',
+	'%(objectname)',
+	'%(upstream:short)',
+	'%(upstream:track,nobracket)',
+	'%(committerdate:iso-strict)',
+].join('%1f');
+
+// Parses `git for-each-ref --format=${BRANCH_FORMAT}` output
+export function parseBranches(output: string): IDataObject[] {
+	const branches: IDataObject[] = [];
+	for (const line of output.split('\n')) {
+		if (!line.trim()) continue;
+		const [head, ref, name, symref, commit, upstream, track, date] = line.split(FIELD_SEPARATOR);
+		// Skip symbolic refs such as refs/remotes/origin/HEAD
+		if (symref) continue;
+		const ahead = /ahead (\d+)/.exec(track);
+		const behind = /behind (\d+)/.exec(track);
+		branches.push({
+			name,
+			ref,
+			remote: ref.startsWith('refs/remotes/'),
+			current: head === '*',
+			commit,
+			upstream: upstream || null,
+			upstreamGone: track === 'gone',
+			ahead: ahead ? Number(ahead[1]) : 0,
+			behind: behind ? Number(behind[1]) : 0,
+			lastCommitDate: date,
+		});
+	}
+	return branches;
+}
+
+export const TAG_FORMAT = [
+	'%1e%(refname:short)',
+	'%(objecttype)',
+	'%(objectname)',
+	'%(*objectname)',
+	'%(taggername)',
+	'%(taggeremail)',
+	'%(taggerdate:iso-strict)',
+	'%(creatordate:iso-strict)',
+	'%(contents:subject)',
+	'%(contents:body)',
+].join('%1f');
+
+// Parses `git tag --list --format=${TAG_FORMAT}` output
+export function parseTags(output: string): IDataObject[] {
+	const tags: IDataObject[] = [];
+	for (const record of output.split(RECORD_SEPARATOR)) {
+		if (!record.trim()) continue;
+		const [name, type, object, peeled, tagger, email, taggerDate, date, subject, body] =
+			record.split(FIELD_SEPARATOR);
+		// Lightweight tags point straight at a commit and carry no message or tagger
+		const annotated = type === 'tag';
+		tags.push({
+			name,
+			annotated,
+			commit: annotated ? peeled : object,
+			object,
+			date,
+			tagger: annotated ? { name: tagger, email: email.replace(/^<|>$/g, ''), date: taggerDate } : null,
+			subject: annotated ? subject : null,
+			message: annotated ? [subject, body.trim()].filter((part) => part).join('\n\n') : null,
+		});
+	}
+	return tags;
+}
+
+// Masks the user info of HTTP(S) URLs, which often holds a password or token
+const redactUrl = (url: string) =>
+	url.replace(/^(https?:\/\/)([^/@]+)@/i, (_match, scheme: string, userInfo: string) =>
+		userInfo.includes(':') ? `${scheme}${userInfo.split(':')[0]}:***@` : `${scheme}***@`,
+	);
+
+// Parses `git remote --verbose` output into one object per remote with redacted URLs
+export function parseRemotes(output: string): IDataObject[] {
+	const remotes = new Map<string, IDataObject>();
+	for (const line of output.split('\n')) {
+		const match = /^(\S+)\t(.*) \((fetch|push)\)$/.exec(line);
+		if (!match) continue;
+		const [, name, url, kind] = match;
+		const remote = remotes.get(name) ?? { name, fetchUrl: null, pushUrl: null };
+		remote[kind === 'fetch' ? 'fetchUrl' : 'pushUrl'] = redactUrl(url);
+		remotes.set(name, remote);
+	}
+	return [...remotes.values()];
+}
+
+// Parses `git ls-remote` output into a map of ref name to commit. Annotated tags are listed
+// twice and the peeled `^{}` line that follows the tag object wins, so tags map to commits too.
+export function parseLsRemote(output: string): Record<string, string> {
+	const refs: Record<string, string> = {};
+	for (const line of output.split('\n')) {
+		const [commit, ref] = line.split('\t');
+		if (!commit || !ref) continue;
+		refs[ref.replace(/\^\{\}$/, '')] = commit;
+	}
+	return refs;
+}
+
+// Parses `git submodule status` output. The prefix tells whether a submodule is not initialized
+// (-), checked out at a different commit than the superproject records (+) or conflicted (U).
+export function parseSubmoduleStatus(output: string): IDataObject[] {
+	const submodules: IDataObject[] = [];
+	for (const line of output.split('\n')) {
+		const match = /^([ +\-U])([0-9a-f]+) (.+?)(?: \((.*)\))?$/.exec(line);
+		if (!match) continue;
+		const [, prefix, commit, path, describe] = match;
+		submodules.push({
+			path,
+			commit,
+			initialized: prefix !== '-',
+			outOfDate: prefix === '+',
+			conflict: prefix === 'U',
+			describe: describe ?? null,
+		});
+	}
+	return submodules;
+}
+
+export type Authentication = {
+	env: Record<string, string>;
+	// Global options such as `-c key=value` placed before the git subcommand
+	configArgs: string[];
+	// Values masked in any output returned to the workflow
+	secrets: string[];
+	cleanup: () => Promise<void>;
+};
+
+const shellQuote = (value: string) => `'${value.replace(/'/g, `'\\''`)}'`;
+
+// ssh and ssh-keygen read the passphrase from SSH_ASKPASS; the script only answers its prompts
+async function writeSshAskPass(dir: string, passphrase: string): Promise<Record<string, string>> {
+	const askPass = join(dir, 'askpass.sh');
+	await fs.writeFile(
+		askPass,
+		'#!/bin/sh\ncase "$1" in\n*assphrase*) printf \'%s\\n\' "$GIT_EXTENDED_SSH_PASSPHRASE" ;;\nesac\n',
+		{ mode: 0o700 },
+	);
+	return {
+		SSH_ASKPASS: askPass,
+		SSH_ASKPASS_REQUIRE: 'force',
+		DISPLAY: process.env.DISPLAY || ':0',
+		GIT_EXTENDED_SSH_PASSPHRASE: passphrase,
+	};
+}
+
+// Writes the SSH key to a private temp directory and builds GIT_SSH_COMMAND around it
+export async function setupSshAuthentication(credentials: IDataObject): Promise<Authentication> {
+	const dir = await fs.mkdtemp(join(tmpdir(), 'git-ext-ssh-'));
+	const cleanup = async () => await fs.rm(dir, { recursive: true, force: true });
+	try {
+		await fs.chmod(dir, 0o700);
+		const keyFile = join(dir, 'id');
+		const privateKey = (credentials.privateKey as string).trim();
+		await fs.writeFile(keyFile, `${privateKey}\n`, { mode: 0o600 });
+
+		const sshCommand = ['ssh', '-i', shellQuote(keyFile), '-o', 'IdentitiesOnly=yes'];
+		if (credentials.strictHostKeyChecking === false) {
+			sshCommand.push('-o', 'StrictHostKeyChecking=no', '-o', 'UserKnownHostsFile=/dev/null');
+		} else {
+			sshCommand.push('-o', 'StrictHostKeyChecking=yes');
+			if (credentials.knownHosts) {
+				const knownHostsFile = join(dir, 'known_hosts');
+				await fs.writeFile(knownHostsFile, `${(credentials.knownHosts as string).trim()}\n`, {
+					mode: 0o600,
+				});
+				sshCommand.push('-o', `UserKnownHostsFile=${shellQuote(knownHostsFile)}`);
+			}
+		}
+
+		const env: Record<string, string> = { GIT_SSH_COMMAND: sshCommand.join(' ') };
+		if (credentials.passphrase) {
+			Object.assign(env, await writeSshAskPass(dir, credentials.passphrase as string));
+		}
+		return {
+			env,
+			configArgs: [],
+			secrets: [credentials.passphrase as string].filter((secret) => secret),
+			cleanup,
+		};
+	} catch (error) {
+		await cleanup();
+		throw error;
+	}
+}
+
+// Host name of an HTTP(S) URL, or undefined for SSH, local paths and invalid URLs
+function httpUrl(url?: string) {
+	try {
+		const parsed = new URL(url ?? '');
+		return /^https?:$/.test(parsed.protocol) ? parsed : undefined;
+	} catch {
+		return undefined;
+	}
+}
+
+// Answers git's username and password prompts through GIT_ASKPASS so credentials never appear
+// in URLs or get written to the repository config. When a URL is given, prompts for other hosts,
+// such as submodules hosted elsewhere, are left unanswered.
+export async function setupBasicAuthentication(
+	credentials: IDataObject,
+	url?: string,
+): Promise<Authentication> {
+	const dir = await fs.mkdtemp(join(tmpdir(), 'git-ext-askpass-'));
+	const cleanup = async () => await fs.rm(dir, { recursive: true, force: true });
+	try {
+		await fs.chmod(dir, 0o700);
+		const askPass = join(dir, 'askpass.sh');
+		await fs.writeFile(
+			askPass,
+			[
+				'#!/bin/sh',
+				'if [ -n "$GIT_EXTENDED_HOST" ]; then',
+				'case "$1" in',
+				`*[/@]"$GIT_EXTENDED_HOST"[:\\']*) ;;`,
+				'*) exit 1 ;;',
+				'esac',
+				'fi',
+				'case "$1" in',
+				'Username*) printf \'%s\\n\' "$GIT_EXTENDED_USERNAME" ;;',
+				'*) printf \'%s\\n\' "$GIT_EXTENDED_PASSWORD" ;;',
+				'esac',
+				'',
+			].join('\n'),
+			{ mode: 0o700 },
+		);
+		return {
+			env: {
+				GIT_ASKPASS: askPass,
+				GIT_EXTENDED_HOST: httpUrl(url)?.hostname ?? '',
+				GIT_EXTENDED_USERNAME: (credentials.username as string) ?? '',
+				GIT_EXTENDED_PASSWORD: (credentials.password as string) ?? '',
+			},
+			// Disable configured credential helpers so the credentials are not stored anywhere
+			configArgs: ['-c', 'credential.helper='],
+			secrets: [credentials.password as string].filter((secret) => secret),
+			cleanup,
+		};
+	} catch (error) {
+		await cleanup();
+		throw error;
+	}
+}
+
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Masks the given secrets and any password embedded in a URL
+export function redact(text: string, secrets: string[]): string {
+	let result = text.replace(/(\b[a-z][a-z0-9+.-]*:\/\/[^\s/:@]*):[^\s/@]+@/gi, '$1:***@');
+	for (const secret of [...secrets].sort((a, b) => b.length - a.length)) {
+		if (!secret) continue;
+		result = result.replace(new RegExp(escapeRegExp(secret), 'g'), '***');
+		const encoded = encodeURIComponent(secret);
+		if (encoded !== secret) result = result.replace(new RegExp(escapeRegExp(encoded), 'g'), '***');
+	}
+	return result;
+}
+
+// Masks secrets in an error message and in the command details attached by child_process
+export function redactError(error: Error, secrets: string[]) {
+	const details = error as Error & Record<string, unknown>;
+	for (const key of ['message', 'cmd', 'stdout', 'stderr', 'description']) {
+		if (typeof details[key] === 'string') details[key] = redact(details[key] as string, secrets);
+	}
+}
+
+// Sends an access token either as the password for a fixed username or as a bearer header. When
+// a URL is given, the token is only sent to that host.
+export async function setupTokenAuthentication(
+	credentials: IDataObject,
+	url?: string,
+): Promise<Authentication> {
+	const token = credentials.token as string;
+	if (credentials.method === 'bearer') {
+		const origin = httpUrl(url)?.origin;
+		return {
+			env: {},
+			configArgs: [
+				'-c',
+				'credential.helper=',
+				'-c',
+				`${origin ? `http.${origin}/.` : 'http.'}extraHeader=Authorization: Bearer ${token}`,
+			],
+			secrets: [token],
+			cleanup: async () => {},
+		};
+	}
+	return await setupBasicAuthentication(
+		{
+			username: (credentials.username as string) || 'x-access-token',
+			password: token,
+		},
+		url,
+	);
+}
+
+// Creates an isolated GNUPGHOME that never prompts; the agent it spawns is stopped on cleanup
+async function createGnupgHome(passphrase?: string) {
+	const dir = await fs.mkdtemp(join(tmpdir(), 'git-ext-gpg-'));
+	const env = { ...process.env, GNUPGHOME: dir };
+	const cleanup = async () => {
+		await execFile('gpgconf', ['--kill', 'gpg-agent'], { env }).catch(() => {});
+		await fs.rm(dir, { recursive: true, force: true });
+	};
+	try {
+		await fs.chmod(dir, 0o700);
+		const config = ['batch', 'no-tty', 'pinentry-mode loopback', 'trust-model always'];
+		if (passphrase) {
+			const passphraseFile = join(dir, 'passphrase');
+			await fs.writeFile(passphraseFile, passphrase, { mode: 0o600 });
+			config.push(`passphrase-file ${passphraseFile}`);
+		}
+		await fs.writeFile(join(dir, 'gpg.conf'), `${config.join('\n')}\n`, { mode: 0o600 });
+		const importKeys = async (armored: string) => {
+			const keyFile = join(dir, 'import.asc');
+			await fs.writeFile(keyFile, `${armored.trim()}\n`, { mode: 0o600 });
+			await execFile('gpg', ['--import', keyFile], { env });
+			await fs.rm(keyFile, { force: true });
+		};
+		return { dir, env, importKeys, cleanup };
+	} catch (error) {
+		await cleanup();
+		throw error;
+	}
+}
+
+// Prepares the signing key so `git commit -S` and `git tag -s` can use it without prompting
+export async function setupSigning(credentials: IDataObject): Promise<Authentication> {
+	const privateKey = credentials.privateKey as string;
+	const passphrase = (credentials.passphrase as string) || undefined;
+	const secrets = [passphrase].filter((secret): secret is string => !!secret);
+
+	if (credentials.format === 'ssh') {
+		const dir = await fs.mkdtemp(join(tmpdir(), 'git-ext-ssh-'));
+		const cleanup = async () => await fs.rm(dir, { recursive: true, force: true });
+		try {
+			await fs.chmod(dir, 0o700);
+			const keyFile = join(dir, 'id');
+			await fs.writeFile(keyFile, `${privateKey.trim()}\n`, { mode: 0o600 });
+			return {
+				env: passphrase ? await writeSshAskPass(dir, passphrase) : {},
+				configArgs: ['-c', 'gpg.format=ssh', '-c', `user.signingkey=${keyFile}`],
+				secrets,
+				cleanup,
+			};
+		} catch (error) {
+			await cleanup();
+			throw error;
+		}
+	}
+
+	const home = await createGnupgHome(passphrase);
+	try {
+		await home.importKeys(privateKey);
+		let keyId = credentials.keyId as string;
+		if (!keyId) {
+			const { stdout } = await execFile('gpg', ['--list-secret-keys', '--with-colons'], {
+				env: home.env,
+			});
+			keyId = /^fpr:(?:[^:]*:){8}([0-9A-F]+):/m.exec(stdout)?.[1] ?? '';
+			if (!keyId) throw new Error('The signing credential does not contain a secret key');
+		}
+		return {
+			env: { GNUPGHOME: home.dir },
+			configArgs: ['-c', 'gpg.format=openpgp', '-c', `user.signingkey=${keyId}`],
+			secrets,
+			cleanup: home.cleanup,
+		};
+	} catch (error) {
+		await home.cleanup();
+		throw error;
+	}
+}
+
+// Trusts the given armored public keys and SSH allowed signers while verifying signatures
+export async function setupVerification(options: IDataObject): Promise<Authentication> {
+	const cleanups: Array<() => Promise<void>> = [];
+	const cleanup = async () => {
+		for (const step of cleanups) await step();
+	};
+	const env: Record<string, string> = {};
+	const configArgs: string[] = [];
+	try {
+		if (options.trustedKeys) {
+			const home = await createGnupgHome();
+			cleanups.push(home.cleanup);
+			await home.importKeys(options.trustedKeys as string);
+			env.GNUPGHOME = home.dir;
+		}
+		if (options.allowedSigners) {
+			const dir = await fs.mkdtemp(join(tmpdir(), 'git-ext-signers-'));
+			cleanups.push(async () => await fs.rm(dir, { recursive: true, force: true }));
+			const signersFile = join(dir, 'allowed_signers');
+			await fs.writeFile(signersFile, `${(options.allowedSigners as string).trim()}\n`);
+			configArgs.push('-c', `gpg.ssh.allowedSignersFile=${signersFile}`);
+		}
+		return { env, configArgs, secrets: [], cleanup };
+	} catch (error) {
+		await cleanup();
+		throw error;
+	}
+}
+
+const SIGNATURE_STATUS: Record<string, string> = {
+	G: 'good',
+	B: 'bad',
+	U: 'goodUnknownValidity',
+	X: 'goodExpiredSignature',
+	Y: 'goodExpiredKey',
+	R: 'goodRevokedKey',
+	E: 'cannotVerify',
+	N: 'unsigned',
+};
+
+export const SIGNATURE_FORMAT = ['%x1e%H', '%G?', '%GS', '%GK', '%GF', '%s'].join('%x1f');
+
+// Parses `git log --format=${SIGNATURE_FORMAT}` output into one item per commit
+export function parseSignatures(output: string): IDataObject[] {
+	const commits: IDataObject[] = [];
+	for (const record of output.split(RECORD_SEPARATOR)) {
+		if (!record.trim()) continue;
+		const [commit, code, signer, keyId, fingerprint, subject] = record
+			.trim()
+			.split(FIELD_SEPARATOR);
+		commits.push({
+			commit,
+			subject,
+			signed: code !== 'N',
+			valid: code === 'G' || code === 'U',
+			status: SIGNATURE_STATUS[code] ?? code,
+			signer: signer || null,
+			keyId: keyId || null,
+			fingerprint: fingerprint || null,
+		});
+	}
+	return commits;
+}
+
+// Parses `git verify-tag --raw` output, which holds gpg status lines or the ssh-keygen message
+export function parseTagSignature(output: string, valid: boolean): IDataObject {
+	const gpgStatus = (name: string) =>
+		new RegExp(`^\\[GNUPG:\\] ${name} (\\S+) ?(.*)$`, 'm').exec(output) ?? undefined;
+	const signature =
+		gpgStatus('GOODSIG') ?? gpgStatus('BADSIG') ?? gpgStatus('EXPKEYSIG') ?? gpgStatus('REVKEYSIG');
+	const missing = gpgStatus('ERRSIG');
+	const ssh = /Good "git" signature for (.+) with \S+ key (\S+)/.exec(output);
+
+	let status = valid ? 'good' : 'bad';
+	if (valid && /^\[GNUPG:\] TRUST_(UNDEFINED|NEVER)/m.test(output)) status = 'goodUnknownValidity';
+	if (!valid && (missing || /allowedSignersFile|No principal matched/.test(output))) {
+		status = 'cannotVerify';
+	}
+	const signed =
+		!!(signature || missing || ssh) ||
+		(/signature/i.test(output) && !/no signature found/i.test(output));
+	return {
+		signed,
+		valid,
+		status: signed ? status : 'unsigned',
+		signer: signature?.[2] || ssh?.[1] || null,
+		keyId: signature?.[1] ?? missing?.[1] ?? null,
+		fingerprint: gpgStatus('VALIDSIG')?.[1] ?? ssh?.[2] ?? null,
+	};
+}
+
+// Parses `git diff --numstat -z` output
+export function parseNumstat(output: string): IDataObject[] {
+	const files: IDataObject[] = [];
+	const entries = output.split('\0');
+	for (let i = 0; i < entries.length; i++) {
+		if (!entries[i]) continue;
+		const [additions, deletions, path] = entries[i].split('\t');
+		const binary = additions === '-' && deletions === '-';
+		const file: IDataObject = {
+			path,
+			additions: binary ? 0 : Number(additions),
+			deletions: binary ? 0 : Number(deletions),
+			binary,
+		};
+		// Renames and copies have an empty path followed by the old and new paths
+		if (!path) {
+			file.from = entries[++i];
+			file.path = entries[++i];
+		}
+		files.push(file);
+	}
+	return files;
+}
+
+const ESCAPES: Record<string, number> = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13 };
+
+// Decodes a path quoted by git with C-style escapes and octal UTF-8 bytes
+function unquotePath(path: string): string {
+	if (!path.startsWith('"') || !path.endsWith('"')) return path;
+	const bytes: number[] = [];
+	const body = path.slice(1, -1);
+	for (let i = 0; i < body.length; i++) {
+		if (body[i] !== '\\') {
+			const char = String.fromCodePoint(body.codePointAt(i) as number);
+			bytes.push(...Buffer.from(char));
+			i += char.length - 1;
+		} else if (/[0-7]/.test(body[i + 1])) {
+			bytes.push(parseInt(body.slice(i + 1, i + 4), 8));
+			i += 3;
+		} else {
+			const next = body[++i];
+			bytes.push(ESCAPES[next] ?? next.charCodeAt(0));
+		}
+	}
+	return Buffer.from(bytes).toString('utf8');
+}
+
+const stripPrefix = (path: string) => {
+	const unquoted = unquotePath(path.trim());
+	return unquoted === '/dev/null' ? null : unquoted.replace(/^[ab]\//, '');
+};
+
+// Parses unified diff output into one object per file with its hunks and lines
+export function parseDiff(output: string): IDataObject[] {
+	const files: IDataObject[] = [];
+	let file: IDataObject | undefined;
+	let hunks: IDataObject[] = [];
+	let lines: IDataObject[] = [];
+	let oldLine = 0;
+	let newLine = 0;
+
+	for (const line of output.split('\n')) {
+		if (line.startsWith('diff --git ')) {
+			hunks = [];
+			file = { oldPath: null, newPath: null, status: 'modified', binary: false, hunks };
+			files.push(file);
+			const match = /^diff --git (?:"?a\/)(.+?)"? (?:"?b\/)(.+?)"?$/.exec(line);
+			if (match) {
+				file.oldPath = match[1];
+				file.newPath = match[2];
+			}
+			continue;
+		}
+		if (!file) continue;
+
+		const hunk = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/.exec(line);
+		if (hunk) {
+			lines = [];
+			oldLine = Number(hunk[1]);
+			newLine = Number(hunk[3]);
+			hunks.push({
+				oldStart: oldLine,
+				oldLines: hunk[2] === undefined ? 1 : Number(hunk[2]),
+				newStart: newLine,
+				newLines: hunk[4] === undefined ? 1 : Number(hunk[4]),
+				header: hunk[5],
+				lines,
+			});
+			continue;
+		}
+
+		if (hunks.length === 0) {
+			if (line.startsWith('--- ')) file.oldPath = stripPrefix(line.slice(4));
+			else if (line.startsWith('+++ ')) file.newPath = stripPrefix(line.slice(4));
+			else if (line.startsWith('new file mode')) file.status = 'added';
+			else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+			else if (line.startsWith('rename from ')) {
+				file.status = 'renamed';
+				file.oldPath = unquotePath(line.slice(12));
+			} else if (line.startsWith('rename to ')) file.newPath = unquotePath(line.slice(10));
+			else if (line.startsWith('copy from ')) {
+				file.status = 'copied';
+				file.oldPath = unquotePath(line.slice(10));
+			} else if (line.startsWith('copy to ')) file.newPath = unquotePath(line.slice(8));
+			else if (line.startsWith('Binary files ') || line === 'GIT binary patch') file.binary = true;
+			continue;
+		}
+
+		if (line.startsWith('+')) {
+			lines.push({ type: 'add', content: line.slice(1), newLine: newLine++ });
+		} else if (line.startsWith('-')) {
+			lines.push({ type: 'delete', content: line.slice(1), oldLine: oldLine++ });
+		} else if (line.startsWith(' ')) {
+			lines.push({ type: 'context', content: line.slice(1), oldLine: oldLine++, newLine: newLine++ });
+		} else if (line.startsWith('\\') && lines.length > 0) {
+			lines[lines.length - 1].noNewlineAtEnd = true;
+		}
+	}
+
+	for (const entry of files) {
+		if (entry.status === 'added') entry.oldPath = null;
+		if (entry.status === 'deleted') entry.newPath = null;
+		const fileHunks = entry.hunks as IDataObject[];
+		let additions = 0;
+		let deletions = 0;
+		for (const { lines: hunkLines } of fileHunks) {
+			for (const { type } of hunkLines as IDataObject[]) {
+				if (type === 'add') additions++;
+				if (type === 'delete') deletions++;
+			}
+		}
+		entry.additions = additions;
+		entry.deletions = deletions;
+	}
+	return files;
+}
+
+export const hasGlob = (pattern: string) => /[*?[]/.test(pattern);
+
+// Converts a glob where `*` stays within a path segment and `**` spans directories
+export function globToRegExp(pattern: string): RegExp {
+	let source = '';
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+		if (char === '*' && pattern[i + 1] === '*') {
+			const slash = pattern[i + 2] === '/';
+			source += slash ? '(?:.*/)?' : '.*';
+			i += slash ? 2 : 1;
+		} else if (char === '*') {
+			source += '[^/]*';
+		} else if (char === '?') {
+			source += '[^/]';
+		} else if (char === '[') {
+			const end = pattern.indexOf(']', i + 1);
+			if (end === -1) {
+				source += '\\[';
+			} else {
+				source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+				i = end;
+			}
+		} else {
+			source += escapeRegExp(char);
+		}
+	}
+	return new RegExp(`^${source}$`);
+}
+
+const MIME_TYPES: Record<string, string> = {
+	css: 'text/css',
+	csv: 'text/csv',
+	gif: 'image/gif',
+	gz: 'application/gzip',
+	htm: 'text/html',
+	html: 'text/html',
+	jpeg: 'image/jpeg',
+	jpg: 'image/jpeg',
+	js: 'text/javascript',
+	json: 'application/json',
+	md: 'text/markdown',
+	patch: 'text/x-diff',
+	pdf: 'application/pdf',
+	png: 'image/png',
+	svg: 'image/svg+xml',
+	ts: 'text/plain',
+	txt: 'text/plain',
+	webp: 'image/webp',
+	xml: 'application/xml',
+	yaml: 'application/yaml',
+	yml: 'application/yaml',
+	zip: 'application/zip',
+};
+
+export function guessMimeType(path: string): string | undefined {
+	const extension = path.split('/').pop()?.split('.').slice(1).pop()?.toLowerCase() ?? '';
+	return MIME_TYPES[extension];
+}
+
+const LOCK_RETRY_INTERVAL = 100;
+
+export const sleep = async (ms: number) => await new Promise((done) => setTimeout(done, ms));
+
+// A lock is abandoned once its process on this host has exited. The process of a lock taken on
+// another host cannot be checked, so that lock is abandoned once its holder stopped refreshing it
+// for longer than staleAfter.
+async function isStaleLock(lockFile: string, staleAfter: number) {
+	let mtime: number;
+	let content: string;
+	try {
+		const [stats, data] = await Promise.all([fs.stat(lockFile), fs.readFile(lockFile, 'utf8')]);
+		mtime = stats.mtimeMs;
+		content = data;
+	} catch {
+		// The lock was released meanwhile
+		return false;
+	}
+	let owner: { pid?: number; hostname?: string } = {};
+	try {
+		owner = JSON.parse(content);
+	} catch {
+		// The owner is still writing the lock, or it was left half written
+	}
+	if (owner.hostname === hostname() && typeof owner.pid === 'number') {
+		try {
+			process.kill(owner.pid, 0);
+			return false;
+		} catch (error) {
+			return (error as NodeJS.ErrnoException).code === 'ESRCH';
+		}
+	}
+	return Date.now() - mtime > staleAfter;
+}
+
+// The lock lives in the common git directory so every process that can see the repository,
+// including workers in other containers sharing the volume, sees it too. Before clone or init
+// there is no git directory yet, so the lock is kept in the temp directory, named after the path.
+async function getLockFile(path: string) {
+	try {
+		const { stdout } = await execFile('git', ['-C', path, 'rev-parse', '--git-common-dir']);
+		return join(resolve(path, stdout.trim()), 'n8n-git-extended.lock');
+	} catch {
+		const dir = join(tmpdir(), 'n8n-git-extended-locks');
+		await fs.mkdir(dir, { recursive: true });
+		return join(dir, `${createHash('sha256').update(path).digest('hex').slice(0, 16)}.lock`);
+	}
+}
+
+// Takes an advisory lock on a repository that is shared by every process seeing the repository.
+// Resolves to a function releasing the lock, or rejects once waitTimeout has passed.
+export async function acquireRepositoryLock(
+	repoPath: string,
+	waitTimeout: number,
+	staleAfter: number,
+): Promise<() => Promise<void>> {
+	const path = resolve(repoPath);
+	const lockFile = await getLockFile(path);
+	const owner = JSON.stringify({ pid: process.pid, hostname: hostname(), path, token: Math.random() });
+	const deadline = Date.now() + waitTimeout;
+	for (;;) {
+		try {
+			await fs.writeFile(lockFile, owner, { flag: 'wx' });
+			// Refresh the lock while it is held so long-running commands never look abandoned
+			const heartbeat = setInterval(
+				() => {
+					const now = new Date();
+					fs.utimes(lockFile, now, now).catch(() => {});
+				},
+				Math.max(Math.floor(staleAfter / 3), 10),
+			);
+			heartbeat.unref();
+			return async () => {
+				clearInterval(heartbeat);
+				// Only remove the lock if it was not taken over in the meantime
+				const content = await fs.readFile(lockFile, 'utf8').catch(() => '');
+				if (content === owner) await fs.rm(lockFile, { force: true });
+			};
+		} catch (error) {
+			const { code } = error as NodeJS.ErrnoException;
+			// Without write access to the git directory the item runs unlocked, as with locking disabled
+			if (code === 'EACCES' || code === 'EROFS') return async () => {};
+			if (code !== 'EEXIST') throw error;
+		}
+		if (await isStaleLock(lockFile, staleAfter)) {
+			await fs.rm(lockFile, { force: true });
+			continue;
+		}
+		if (Date.now() >= deadline) {
+			throw new Error(
+				`Timed out after ${waitTimeout / 1000}s waiting for another execution to release the lock on ${path}`,
+			);
+		}
+		await sleep(LOCK_RETRY_INTERVAL);
+	}
+}
+
+// Stable codes for git failures, checked in order: a rejected push or a failed login is often
+// reported together with a hung-up remote, so the specific causes come before NETWORK
+const GIT_ERROR_PATTERNS: Array<[string, RegExp[]]> = [
+	[
+		'AUTH_FAILED',
+		[
+			/authentication failed/i,
+			/could not read (username|password)/i,
+			/terminal prompts disabled/i,
+			/permission denied \(publickey/i,
+			/invalid (username|credentials|password)/i,
+			/(requested URL|error): 40[13]\b/i,
+		],
+	],
+	[
+		'NON_FAST_FORWARD',
+		[/non-fast-forward/i, /\[rejected\]/, /updates were rejected/i, /not possible to fast-forward/i],
+	],
+	[
+		'MERGE_CONFLICT',
+		[/CONFLICT \(/, /automatic merge failed/i, /could not apply/i, /because of conflicts/i, /unmerged files/i],
+	],
+	[
+		'NOT_A_REPOSITORY',
+		[/not a git repository/i, /does not appear to be a git repository/i, /repository .* not found/i],
+	],
+	[
+		'REF_NOT_FOUND',
+		[
+			/couldn't find remote ref/i,
+			/unknown revision/i,
+			/bad revision/i,
+			/not a valid (object name|ref)/i,
+			/invalid reference/i,
+			/did not match any file\(s\) known to git/i,
+			/src refspec .* does not match any/i,
+			/tag '.*' not found/i,
+			/remote ref does not exist/i,
+			/no such remote/i,
+		],
+	],
+	['NOTHING_TO_COMMIT', [/nothing to commit/i, /nothing added to commit/i, /no changes added to commit/i]],
+	[
+		'LOCKED',
+		[
+			/unable to create '[^']*\.lock': file exists/i,
+			/cannot lock ref/i,
+			/\(failed to lock\)/i,
+			/another git process seems to be running/i,
+			/waiting for another execution to release the lock/i,
+		],
+	],
+	[
+		'NETWORK',
+		[
+			/connection (reset|refused|timed out)/i,
+			/operation timed out/i,
+			/could not resolve host/i,
+			/early EOF/i,
+			/remote end hung up unexpectedly/i,
+			/RPC failed/i,
+			/(requested URL|error): 5\d\d\b/i,
+			/HTTP\/[\d.]+ 5\d\d/i,
+			/index-pack failed/i,
+			/TLS|SSL|gnutls/,
+			/unexpected disconnect/i,
+		],
+	],
+];
+
+// Maps git output or an error message to a code such as AUTH_FAILED, or UNKNOWN
+export function classifyGitError(output: string): string {
+	for (const [code, patterns] of GIT_ERROR_PATTERNS) {
+		if (patterns.some((pattern) => pattern.test(output))) return code;
+	}
+	return 'UNKNOWN';
+}
+
+// Whether the stderr of a failed network command describes a transient failure worth retrying
+export function isRetryableGitError(stderr: string): boolean {
+	return ['NETWORK', 'LOCKED'].includes(classifyGitError(stderr));
+}
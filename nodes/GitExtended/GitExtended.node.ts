@@ -1,35 +1,305 @@
 import type {
+	IDataObject,
 	IExecuteFunctions,
 	INodeExecutionData,
 	INodeType,
 	INodeTypeDescription,
 } from 'n8n-workflow';
 import { NodeConnectionType, NodeOperationError } from 'n8n-workflow';
-import { exec as execCallback, spawn } from 'child_process';
-import { promises as fs } from 'fs';
+import { execFile as execFileCallback, spawn } from 'child_process';
+import { createReadStream, createWriteStream, promises as fs } from 'fs';
+import type { WriteStream } from 'fs';
 import { tmpdir } from 'os';
-import { join } from 'path';
-import { URL } from 'url';
+import { basename, dirname, isAbsolute, join, relative, resolve } from 'path';
+import { StringDecoder } from 'string_decoder';
+import { Transform, Writable } from 'stream';
 import { promisify } from 'util';
+import type { Authentication } from './GenericFunctions';
+import {
+	BRANCH_FORMAT,
+	LOG_FORMAT,
+	SIGNATURE_FORMAT,
+	TAG_FORMAT,
+	acquireRepositoryLock,
+	classifyGitError,
+	globToRegExp,
+	groupBlameHunks,
+	guessMimeType,
+	hasGlob,
+	isRetryableGitError,
+	parseBlame,
+	parseBranches,
+	parseDiff,
+	parseGrep,
+	parseLog,
+	parseNumstat,
+	parseRemotes,
+	parseSignatures,
+	parseStatus,
+	parseSubmoduleStatus,
+	parseTagSignature,
+	parseTags,
+	redact,
+	redactError,
+	setupBasicAuthentication,
+	setupSigning,
+	setupSshAuthentication,
+	setupTokenAuthentication,
+	setupVerification,
+	sleep,
+} from './GenericFunctions';
 
-const exec = promisify(execCallback);
+const execFile = promisify(execFileCallback);
 
-const execNoOutput = (command: string) =>
-       new Promise<void>((resolve, reject) => {
-               const child = spawn(command, { shell: true, stdio: 'ignore' });
-               child.on('error', reject);
-               child.on('exit', (code) => {
-                       if (code === 0) resolve();
-                       else reject(new Error(`Command failed with exit code ${code}`));
-               });
-       });
+// A single git invocation: arguments passed to the binary without a shell, plus extra env vars
+type GitCommand = { args: string[]; env?: Record<string, string> };
+
+// Git must never wait for input that nobody can type
+const gitEnv = (command: GitCommand) => ({
+	...process.env,
+	GIT_TERMINAL_PROMPT: '0',
+	...command.env,
+});
+
+class GitTimeoutError extends Error {
+	constructor(timeout: number) {
+		super(`Git command timed out after ${timeout / 1000}s`);
+		this.name = 'GitTimeoutError';
+	}
+}
+
+// Timeout and execution cancellation of an item, applied to every git command it runs
+type ExecLimits = { timeout?: number; signal?: AbortSignal };
+
+// Fails a command stopped by its limits with the same errors runGit reports
+async function withLimits<T>(run: Promise<T>, { timeout, signal }: ExecLimits) {
+	try {
+		return await run;
+	} catch (error) {
+		const { killed, stdout, stderr } = error as ExecError & { killed?: boolean };
+		if (signal?.aborted) {
+			throw Object.assign(new Error('Git command was cancelled'), { stdout, stderr });
+		}
+		if (timeout && killed) throw Object.assign(new GitTimeoutError(timeout), { stdout, stderr });
+		throw error;
+	}
+}
+
+const execGit = (command: GitCommand, limits: ExecLimits = {}, maxBuffer?: number) =>
+	withLimits(
+		execFile('git', command.args, {
+			env: gitEnv(command),
+			maxBuffer,
+			timeout: limits.timeout,
+			signal: limits.signal,
+		}),
+		limits,
+	);
+
+// Same limit execFile applies by default
+const DEFAULT_MAX_BUFFER = 1024 * 1024;
+
+type RunOptions = {
+	captureOutput: boolean;
+	timeout?: number;
+	signal?: AbortSignal;
+	// Receives stdout instead of it being buffered and returned
+	stdout?: Writable;
+};
+
+// Runs the commands of an operation in their own process group so that a timeout or a
+// cancelled execution also stops the processes git starts, such as ssh or git-lfs
+const runGit = (command: GitCommand, { captureOutput, timeout, signal, stdout: sink }: RunOptions) =>
+	new Promise<{ stdout: string; stderr: string }>((resolve, reject) => {
+		const child = spawn('git', command.args, {
+			env: gitEnv(command),
+			// stderr is always read so failures can be reported and classified
+			stdio: ['ignore', captureOutput ? 'pipe' : 'ignore', 'pipe'],
+			detached: true,
+		});
+		const output = { stdout: [] as Buffer[], stderr: [] as Buffer[] };
+		let failure: Error | undefined;
+		const stop = (error: Error) => {
+			failure ??= error;
+			try {
+				process.kill(-(child.pid as number), 'SIGKILL');
+			} catch {}
+		};
+		if (sink) child.stdout?.pipe(sink, { end: false });
+		for (const name of sink ? (['stderr'] as const) : (['stdout', 'stderr'] as const)) {
+			let size = 0;
+			child[name]?.on('data', (chunk: Buffer) => {
+				size += chunk.length;
+				if (size > DEFAULT_MAX_BUFFER) stop(new RangeError(`${name} maxBuffer length exceeded`));
+				else output[name].push(chunk);
+			});
+		}
+		const timer = timeout ? setTimeout(() => stop(new GitTimeoutError(timeout)), timeout) : undefined;
+		const cancel = () => stop(new Error('Git command was cancelled'));
+		if (signal?.aborted) cancel();
+		signal?.addEventListener('abort', cancel);
+		const settle = () => {
+			clearTimeout(timer);
+			signal?.removeEventListener('abort', cancel);
+		};
+		child.on('error', (error) => {
+			settle();
+			reject(error);
+		});
+		child.on('close', (code) => {
+			settle();
+			const stdout = Buffer.concat(output.stdout).toString();
+			const stderr = Buffer.concat(output.stderr).toString();
+			if (!failure && code === 0) {
+				resolve({ stdout, stderr });
+				return;
+			}
+			const cmd = `git ${command.args.join(' ')}`;
+			const message = captureOutput
+				? `Command failed: ${cmd}\n${stderr}`
+				: `Command failed with exit code ${code}`;
+			reject(Object.assign(failure ?? new Error(message), { code, cmd, stdout, stderr }));
+		});
+	});
+
+// Longest line held back before it is redacted and passed on without waiting for its end
+const MAX_PENDING_LINE = 1024 * 1024;
+
+// Masks secrets in output before it is spooled. A secret can be split across chunks, so text is
+// only passed on once its line is complete.
+function createRedactor(secrets: string[]) {
+	const decoder = new StringDecoder('utf8');
+	let pending = '';
+	return new Transform({
+		transform(chunk: Buffer, _encoding, callback) {
+			pending += decoder.write(chunk);
+			const end =
+				pending.length > MAX_PENDING_LINE ? pending.length : pending.lastIndexOf('\n') + 1;
+			const complete = pending.slice(0, end);
+			pending = pending.slice(end);
+			callback(null, complete ? Buffer.from(redact(complete, secrets)) : undefined);
+		},
+		flush(callback) {
+			callback(null, Buffer.from(redact(pending + decoder.end(), secrets)));
+		},
+	});
+}
+
+// Keeps stdout in memory up to the threshold and streams everything to a temp file once it
+// grows past it, so memory use stays flat however much output the commands produce. Secrets
+// are masked on the way in, so the file and the preview never contain them.
+function createOutputSpool(threshold: number, secrets: string[]) {
+	const redactor = createRedactor(secrets);
+	const head: Buffer[] = [];
+	let headSize = 0;
+	let size = 0;
+	let file: string | undefined;
+	let stream: WriteStream | undefined;
+	const sink = new Writable({
+		write(chunk: Buffer, _encoding, callback) {
+			if (!stream && size + chunk.length > threshold) {
+				file = join(tmpdir(), `git-output-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+				stream = createWriteStream(file);
+				for (const buffered of head) stream.write(buffered);
+			}
+			size += chunk.length;
+			// The first threshold bytes stay in memory for the preview
+			if (headSize < threshold) {
+				const part = chunk.subarray(0, threshold - headSize);
+				head.push(part);
+				headSize += part.length;
+			}
+			if (!stream) {
+				callback();
+				return;
+			}
+			// Waiting for the write to flush pauses git's stdout until the disk catches up
+			stream.write(chunk, callback);
+		},
+	});
+	redactor.pipe(sink);
+	return {
+		sink: redactor as Writable,
+		// Everything written so far, or its first part once the output was spilled to the file
+		text: () => Buffer.concat(head).toString(),
+		async finish() {
+			await new Promise<void>((done) => {
+				sink.on('finish', done);
+				redactor.end();
+			});
+			if (stream) await new Promise<void>((done) => (stream as WriteStream).end(done));
+			return { file, size };
+		},
+		async discard() {
+			redactor.destroy();
+			sink.destroy();
+			stream?.destroy();
+			if (file) await fs.rm(file, { force: true });
+		},
+	};
+}
+
+type RetryOptions = {
+	maxAttempts?: number;
+	initialDelay?: number;
+	backoffMultiplier?: number;
+	jitter?: boolean;
+};
+
+type Attempt = { attempt: number; exitCode: number | null; stderr: string };
+
+// Runs a network command again after transient failures, waiting longer before every attempt.
+// Each attempt is recorded so its stderr can be returned, and the failure of the final attempt
+// is rethrown with the full list attached as `attempts`.
+async function runGitWithRetry(
+	command: GitCommand,
+	options: RunOptions,
+	retry: RetryOptions,
+	attempts: Attempt[],
+) {
+	const { maxAttempts = 1, initialDelay = 1000, backoffMultiplier = 2, jitter = true } = retry;
+	for (let attempt = 1; ; attempt++) {
+		try {
+			const output = await runGit(command, options);
+			attempts.push({ attempt, exitCode: 0, stderr: output.stderr.trim() });
+			return output;
+		} catch (error) {
+			const { code, stderr = '' } = error as ExecError & { code?: number };
+			attempts.push({ attempt, exitCode: code ?? null, stderr: stderr.trim() });
+			const retryable =
+				!(error instanceof GitTimeoutError) && !options.signal?.aborted && isRetryableGitError(stderr);
+			if (attempt >= maxAttempts || !retryable) {
+				throw Object.assign(error as Error, { attempts });
+			}
+			const delay = initialDelay * backoffMultiplier ** (attempt - 1);
+			await sleep(jitter ? delay * (0.5 + Math.random() / 2) : delay);
+		}
+	}
+}
 
 // Larger buffer for commands that produce a lot of output
-const execLarge = (command: string) => exec(command, { maxBuffer: 200 * 1024 * 1024 });
+const LARGE_BUFFER = 200 * 1024 * 1024;
+
+const execGitLarge = (command: GitCommand, limits?: ExecLimits) =>
+	execGit(command, limits, LARGE_BUFFER);
+
+// Returns raw stdout bytes for binary content such as file blobs
+const execGitBuffer = (command: GitCommand, limits: ExecLimits = {}) =>
+	withLimits(
+		execFile('git', command.args, {
+			env: gitEnv(command),
+			encoding: 'buffer',
+			maxBuffer: LARGE_BUFFER,
+			timeout: limits.timeout,
+			signal: limits.signal,
+		}),
+		limits,
+	);
 
 enum Operation {
 	Add = 'add',
 	ApplyPatch = 'applyPatch',
+	Blame = 'blame',
 	CreateBranch = 'createBranch',
 	DeleteBranch = 'deleteBranch',
 	Branches = 'branches',
@@ -37,16 +307,22 @@ enum Operation {
 	Clone = 'clone',
 	Commit = 'commit',
 	Commits = 'commits',
+	CreatePatch = 'createPatch',
+	Diff = 'diff',
 	RenameBranch = 'renameBranch',
 	Init = 'init',
 	Log = 'log',
 	Merge = 'merge',
 	CherryPick = 'cherryPick',
 	Fetch = 'fetch',
+	ReadFile = 'readFile',
 	Rebase = 'rebase',
+	Remotes = 'remotes',
 	Reset = 'reset',
 	Revert = 'revert',
+	Search = 'search',
 	Stash = 'stash',
+	Submodules = 'submodules',
         Tag = 'tag',
         Pull = 'pull',
         Push = 'push',
@@ -54,9 +330,48 @@ enum Operation {
         Status = 'status',
         Switch = 'switch',
         ConfigUser = 'configUser',
+	Verify = 'verify',
+	WriteFile = 'writeFile',
 }
 
-type CommandResult = { command: string; tempFile?: string };
+// Operations that talk to a remote and accept authentication
+const networkOperations: string[] = [
+	Operation.Clone,
+	Operation.Fetch,
+	Operation.Pull,
+	Operation.Push,
+	Operation.LfsPush,
+];
+
+type CommandResult = {
+	// Git invocations run in order; their output is concatenated
+	commands: GitCommand[];
+	// Output returned when there is nothing to run
+	message?: string;
+	tempFile?: string;
+	// Items returned as-is once the commands have run
+	items?: INodeExecutionData[];
+	// Turns raw stdout into structured output, one item per returned object. It may run
+	// further git commands, for example to read back what the operation created.
+	parse?: (
+		stdout: string,
+		stderr: string,
+	) => IDataObject | IDataObject[] | Promise<IDataObject | IDataObject[]>;
+	// Whether the commands reach a remote and need the configured authentication
+	network?: boolean;
+	// Whether output past the Large Output threshold may be returned as the raw streamed output
+	// instead of the parsed items. Other parsed operations fail instead.
+	streamable?: boolean;
+	// Called when a command fails; returning objects reports them as output instead of an error
+	recover?: (error: ExecError) => Promise<IDataObject | IDataObject[] | undefined>;
+	// Extra config and environment for the commands, such as a signing key, removed after they run
+	prepare?: () => Promise<Authentication>;
+	// URL of the main remote when commands also reach submodules; HTTPS credentials are then
+	// only offered to its host
+	remoteUrl?: string;
+};
+
+type ExecError = Error & { stdout?: string; stderr?: string };
 
 type CommandBuilder = (
 	this: IExecuteFunctions,
@@ -64,241 +379,939 @@ type CommandBuilder = (
 	repoPath: string,
 ) => Promise<CommandResult>;
 
-const commandMap: Record<Operation, CommandBuilder> = {
-        async [Operation.Clone](index, repoPath) {
-                let repoUrl = this.getNodeParameter('repoUrl', index) as string;
-                const auth = this.getNodeParameter('authentication', index) as string;
-                const skipLfsSmudge = this.getNodeParameter('skipLfsSmudge', index, false) as boolean;
-                if (auth === 'gitExtendedApi' || auth === 'custom') {
-                        const creds =
-                                auth === 'gitExtendedApi'
-                                        ? await this.getCredentials('gitExtendedApi')
-                                        : {
-                                               username: this.getNodeParameter('customUsername', index) as string,
-                                               password: this.getNodeParameter('customPassword', index) as string,
-                                       };
-                       try {
-                               const url = new URL(repoUrl);
-                               url.username = creds.username as string;
-                               url.password = creds.password as string;
-                               repoUrl = url.toString();
-                       } catch (error) {
-				throw new NodeOperationError(
-					this.getNode(),
-					`Failed to parse the repository URL: ${repoUrl}. Error: ${(error as Error).message}`,
-				);
+const splitList = (value: string) =>
+	value
+		.split(/[,\n]/)
+		.map((entry) => entry.trim())
+		.filter((entry) => entry);
+
+// Files of the add operation used to be passed through a shell, so a value without commas or
+// line breaks is still split on whitespace unless it names an existing path
+async function splitFileList(value: string, repoPath: string) {
+	if (/[,\n]/.test(value)) return splitList(value);
+	try {
+		await fs.access(resolve(repoPath, value.trim()));
+		return splitList(value);
+	} catch {
+		return value.split(/\s+/).filter((entry) => entry);
+	}
+}
+
+// Git reads an argument that starts with a dash as an option even without a shell, so user
+// values passed as positional arguments must not start with one
+function checkArgument(this: IExecuteFunctions, index: number, name: string, value: string) {
+	if (value.startsWith('-')) {
+		throw new NodeOperationError(this.getNode(), `${name} cannot start with "-"`, {
+			itemIndex: index,
+			description: `Git would read "${value}" as an option`,
+		});
+	}
+	return value;
+}
+
+// Prepares credentials for a network operation according to the selected authentication
+async function prepareAuthentication(
+	this: IExecuteFunctions,
+	index: number,
+	remoteUrl?: string,
+): Promise<Authentication | undefined> {
+	const auth = this.getNodeParameter('authentication', index, 'none') as string;
+	if (auth === 'gitExtendedApi') {
+		return await setupBasicAuthentication(
+			await this.getCredentials('gitExtendedApi', index),
+			remoteUrl,
+		);
+	}
+	if (auth === 'custom') {
+		return await setupBasicAuthentication(
+			{
+				username: this.getNodeParameter('customUsername', index) as string,
+				password: this.getNodeParameter('customPassword', index) as string,
+			},
+			remoteUrl,
+		);
+	}
+	if (auth === 'gitExtendedTokenApi') {
+		return await setupTokenAuthentication(
+			await this.getCredentials('gitExtendedTokenApi', index),
+			remoteUrl,
+		);
+	}
+	if (auth === 'gitExtendedSshApi') {
+		return await setupSshAuthentication(await this.getCredentials('gitExtendedSshApi', index));
+	}
+	return undefined;
+}
+
+// Resolves a remote name to its URL so credentials can be limited to the host of that remote
+async function getRemoteUrl(repoPath: string, remote?: string) {
+	if (remote?.includes('://')) return remote;
+	try {
+		const { stdout } = await execGit({
+			args: ['-C', repoPath, 'remote', 'get-url', remote || 'origin'],
+		});
+		return stdout.trim();
+	} catch {
+		return undefined;
+	}
+}
+
+function getExecLimits(this: IExecuteFunctions, index: number): ExecLimits {
+	return {
+		timeout: (this.getNodeParameter('timeout', index, 0) as number) * 1000,
+		signal: this.getExecutionCancelSignal?.(),
+	};
+}
+
+// Loads the signing credential when the Sign option is enabled
+function prepareSigning(this: IExecuteFunctions, index: number) {
+	if (!this.getNodeParameter('sign', index, false)) return undefined;
+	return async () => await setupSigning(await this.getCredentials('gitExtendedSigningApi', index));
+}
+
+// Builds the depth options shared by fetch and pull. Unshallowing a complete repository is an
+// error in Git, so it is only requested when the repository is actually shallow.
+async function shallowArgs(this: IExecuteFunctions, index: number, repoPath: string) {
+	const options = this.getNodeParameter('shallowOptions', index, {}) as IDataObject;
+	const args: string[] = [];
+	if (options.depth) args.push(`--depth=${options.depth}`);
+	if (options.unshallow) {
+		const { stdout } = await execGit({
+			args: ['-C', repoPath, 'rev-parse', '--is-shallow-repository'],
+		});
+		if (stdout.trim() === 'true') args.push('--unshallow');
+	}
+	return args;
+}
+
+// Deletes an index.lock left behind by a git process that did not exit cleanly. A lock younger
+// than staleAfter may belong to a git process still running outside n8n and is kept. Resolves to
+// the path of the removed lock.
+async function removeStaleIndexLock(repoPath: string, staleAfter: number) {
+	let lockFile: string;
+	try {
+		const { stdout } = await execGit({ args: ['-C', repoPath, 'rev-parse', '--git-path', 'index.lock'] });
+		lockFile = resolve(repoPath, stdout.trim());
+	} catch {
+		// Not a repository yet, for example before clone or init
+		return undefined;
+	}
+	try {
+		const stats = await fs.stat(lockFile);
+		if (Date.now() - stats.mtimeMs <= staleAfter) return undefined;
+		await fs.rm(lockFile, { force: true });
+		return lockFile;
+	} catch {
+		return undefined;
+	}
+}
+
+type SequenceOperation = 'merge' | 'rebase' | 'cherry-pick';
+
+// Paths git keeps while each operation is stopped on a conflict
+const sequenceStatePaths: Record<SequenceOperation, string[]> = {
+	merge: ['MERGE_HEAD'],
+	rebase: ['rebase-merge', 'rebase-apply'],
+	'cherry-pick': ['CHERRY_PICK_HEAD', 'sequencer'],
+};
+
+const sequenceHeads: Record<SequenceOperation, string> = {
+	merge: 'MERGE_HEAD',
+	rebase: 'REBASE_HEAD',
+	'cherry-pick': 'CHERRY_PICK_HEAD',
+};
+
+async function readConflictState(
+	repoPath: string,
+	operation: SequenceOperation,
+	limits: ExecLimits,
+) {
+	let inProgress = false;
+	for (const name of sequenceStatePaths[operation]) {
+		const { stdout } = await execGit(
+			{ args: ['-C', repoPath, 'rev-parse', '--git-path', name] },
+			limits,
+		);
+		try {
+			await fs.access(resolve(repoPath, stdout.trim()));
+			inProgress = true;
+		} catch {}
+	}
+	const { stdout: unmerged } = await execGit(
+		{ args: ['-C', repoPath, 'diff', '--name-only', '--diff-filter=U', '-z'] },
+		limits,
+	);
+	const conflictedFiles = unmerged.split('\0').filter((path) => path);
+	if (!inProgress && conflictedFiles.length === 0) return undefined;
+
+	let conflictingCommit: string | null = null;
+	try {
+		const { stdout } = await execGit(
+			{ args: ['-C', repoPath, 'rev-parse', '--verify', '--quiet', sequenceHeads[operation]] },
+			limits,
+		);
+		conflictingCommit = stdout.trim() || null;
+	} catch {}
+	return { inProgress, conflictedFiles, conflictingCommit };
+}
+
+// Builds merge, rebase and cherry-pick commands, including the follow-up actions and the
+// handling of conflicts according to the On Conflict parameter
+async function buildSequenceCommand(
+	this: IExecuteFunctions,
+	index: number,
+	repoPath: string,
+	operation: SequenceOperation,
+	getStartArgs: () => string[],
+): Promise<CommandResult> {
+	const action = this.getNodeParameter('sequenceAction', index, 'start') as string;
+	const onConflict = this.getNodeParameter('onConflict', index, 'fail') as string;
+	const limits = getExecLimits.call(this, index);
+	if (action === 'skip' && operation === 'merge') {
+		throw new NodeOperationError(this.getNode(), 'A merge cannot be skipped', { itemIndex: index });
+	}
+	const args = action === 'start' ? getStartArgs() : [`--${action}`];
+	const output = (stdout = '', stderr = '') => ({
+		operation,
+		stdout: stdout.trim(),
+		stderr: stderr.trim(),
+	});
+
+	return {
+		// Git must never wait for a commit message in an editor
+		commands: [{ args: ['-C', repoPath, operation, ...args], env: { GIT_EDITOR: 'true' } }],
+		parse: (stdout, stderr) => ({
+			...output(stdout, stderr),
+			conflict: false,
+			state: action === 'abort' ? 'aborted' : 'completed',
+			conflictedFiles: [],
+			conflictingCommit: null,
+		}),
+		recover: async (error) => {
+			if (action === 'abort') return undefined;
+			const conflict = await readConflictState(repoPath, operation, limits);
+			if (!conflict) return undefined;
+			const result = {
+				...output(error.stdout, error.stderr),
+				conflict: true,
+				conflictedFiles: conflict.conflictedFiles,
+				conflictingCommit: conflict.conflictingCommit,
+			};
+			if (onConflict === 'abort') {
+				// A squash merge leaves no MERGE_HEAD, so its conflicts are reset instead
+				const abortArgs = conflict.inProgress ? [operation, '--abort'] : ['reset', '--merge'];
+				await execGit({ args: ['-C', repoPath, ...abortArgs] }, limits);
+				return { ...result, state: 'aborted' };
+			}
+			if (onConflict === 'leave') {
+				return { ...result, state: 'conflict' };
 			}
-                }
-                const targetPath = this.getNodeParameter('targetPath', index) as string;
-                let cmd = `git -C "${repoPath}" clone ${repoUrl} "${targetPath}"`;
-                if (skipLfsSmudge) cmd = `GIT_LFS_SKIP_SMUDGE=1 ${cmd}`;
-                return { command: cmd };
-        },
+			throw new NodeOperationError(
+				this.getNode(),
+				`${operation} stopped because of conflicts in: ${conflict.conflictedFiles.join(', ')}`,
+				{ itemIndex: index, description: error.message },
+			);
+		},
+	};
+}
+
+async function buildLogCommand(
+	this: IExecuteFunctions,
+	index: number,
+	repoPath: string,
+	textFormat: string,
+): Promise<CommandResult> {
+	const outputFormat = this.getNodeParameter('outputFormat', index, 'text') as string;
+	const options = this.getNodeParameter('logOptions', index, {}) as IDataObject;
+	const args = ['-C', repoPath, 'log'];
+	if (outputFormat === 'parsed') {
+		args.push(`--format=${LOG_FORMAT}`, '--name-status');
+	} else if (textFormat) {
+		args.push(textFormat);
+	}
+	if (options.maxCount) args.push(`--max-count=${Number(options.maxCount)}`);
+	if (options.since) args.push(`--since=${options.since}`);
+	if (options.until) args.push(`--until=${options.until}`);
+	if (options.author) args.push(`--author=${options.author}`);
+	if (options.merges === 'only') args.push('--merges');
+	if (options.merges === 'exclude') args.push('--no-merges');
+	if (options.revisionRange) {
+		args.push(checkArgument.call(this, index, 'Revision Range', options.revisionRange as string));
+	}
+	if (options.paths) args.push('--', ...splitList(options.paths as string));
+	return outputFormat === 'parsed'
+		? { commands: [{ args }], parse: parseLog }
+		: { commands: [{ args }] };
+}
+
+const commandMap: Record<Operation, CommandBuilder> = {
+	async [Operation.Clone](index, repoPath) {
+		const repoUrl = this.getNodeParameter('repoUrl', index) as string;
+		const skipLfsSmudge = this.getNodeParameter('skipLfsSmudge', index, false) as boolean;
+		const targetPath = this.getNodeParameter('targetPath', index) as string;
+		const options = this.getNodeParameter('cloneOptions', index, {}) as IDataObject;
+		const sparsePaths = splitList((options.sparsePaths as string) ?? '').map((path) =>
+			checkArgument.call(this, index, 'Sparse Checkout Paths', path),
+		);
+		const args = ['-C', repoPath, 'clone'];
+		if (options.branch) args.push('--branch', options.branch as string);
+		if (options.depth) args.push(`--depth=${options.depth}`);
+		// --depth implies --single-branch, so the option only matters for full clones
+		if (options.singleBranch) args.push('--single-branch');
+		if (options.filter) args.push(`--filter=${options.filter}`);
+		if (sparsePaths.length) args.push('--sparse');
+		const recurseSubmodules = this.getNodeParameter('recurseSubmodules', index, false) as boolean;
+		if (recurseSubmodules) args.push('--recurse-submodules');
+		const command: GitCommand = { args: [...args, '--', repoUrl, targetPath] };
+		if (skipLfsSmudge) command.env = { GIT_LFS_SKIP_SMUDGE: '1' };
+		const commands = [command];
+		// Cone mode checks out the listed directories plus the files at the repository root
+		if (sparsePaths.length) {
+			commands.push({
+				args: ['-C', resolve(repoPath, targetPath), 'sparse-checkout', 'set', '--cone', ...sparsePaths],
+				env: command.env,
+			});
+		}
+		return { commands, remoteUrl: recurseSubmodules ? repoUrl : undefined };
+	},
 	async [Operation.Init](_index, repoPath) {
-		return { command: `git -C "${repoPath}" init` };
+		return { commands: [{ args: ['-C', repoPath, 'init'] }] };
 	},
 	async [Operation.Add](index, repoPath) {
 		const files = this.getNodeParameter('files', index) as string;
-		return { command: `git -C "${repoPath}" add ${files}` };
-	},
-        async [Operation.Commit](index, repoPath) {
-                const message = this.getNodeParameter('commitMessage', index) as string;
-               const { stdout } = await execLarge(`git -C "${repoPath}" status --porcelain`);
-                if (stdout.trim() === '') {
-                        return { command: 'echo "No changes to commit"' };
-                }
-
-                // Stage all changed and untracked files so the commit succeeds
-               await exec(`git -C "${repoPath}" add -A`);
-
-               const { stdout: diff } = await execLarge(`git -C "${repoPath}" diff --cached --name-only`);
-                if (diff.trim() === '') {
-                        return { command: 'echo "No staged changes to commit"' };
-                }
-
-                return {
-                        command: `git -C "${repoPath}" commit -m "${message.replace(/"/g, '\\"')}"`,
-                };
-        },
-        async [Operation.Push](index, repoPath) {
-               let remote = this.getNodeParameter('remote', index) as string;
-               const branch = this.getNodeParameter('branch', index) as string;
-               const auth = this.getNodeParameter('authentication', index) as string;
-               if (remote) {
-                       try {
-                               if (auth === 'gitExtendedApi' || auth === 'custom') {
-                                       const creds =
-                                               auth === 'gitExtendedApi'
-                                                       ? await this.getCredentials('gitExtendedApi')
-                                                       : {
-                                                               username: this.getNodeParameter('customUsername', index) as string,
-                                                               password: this.getNodeParameter('customPassword', index) as string,
-                                                       };
-                                       const url = new URL(remote);
-                                       url.username = creds.username as string;
-                                       url.password = creds.password as string;
-                                       remote = url.toString();
-                               }
-                       } catch {}
-               }
-               const forcePush = this.getNodeParameter('forcePush', index, false) as boolean;
-               const pushLfsObjects = this.getNodeParameter('pushLfsObjects', index, false) as boolean;
-               const skipLfsPush = this.getNodeParameter('skipLfsPush', index, false) as boolean;
-               let cmd = '';
-               if (pushLfsObjects) {
-                       let lfsCmd = `git -C "${repoPath}" lfs push --all`;
-                       if (remote) lfsCmd += ` ${remote}`;
-                       if (branch) lfsCmd += ` ${branch}`;
-                       cmd += `${lfsCmd} && `;
-               }
-               cmd += `git -C "${repoPath}" push`;
-               if (remote) cmd += ` ${remote}`;
-               if (branch) cmd += ` ${branch}`;
-               if (forcePush) cmd += ' --force';
-               if (skipLfsPush) cmd = `GIT_LFS_SKIP_PUSH=1 ${cmd}`;
-               return { command: cmd };
-        },
-        async [Operation.LfsPush](index, repoPath) {
-                const remote = this.getNodeParameter('remote', index) as string;
-                const branch = this.getNodeParameter('branch', index) as string;
-                let cmd = `git -C "${repoPath}" lfs push --all`;
-                if (remote) cmd += ` ${remote}`;
-                if (branch) cmd += ` ${branch}`;
-                return { command: cmd };
-        },
-        async [Operation.Pull](index, repoPath) {
-                let remote = this.getNodeParameter('remote', index) as string;
-                const branch = this.getNodeParameter('branch', index) as string;
-                const auth = this.getNodeParameter('authentication', index) as string;
-                const skipLfsSmudge = this.getNodeParameter('skipLfsSmudge', index, false) as boolean;
-                if (remote) {
-                        try {
-                                if (auth === 'gitExtendedApi' || auth === 'custom') {
-                                        const creds =
-                                               auth === 'gitExtendedApi'
-                                                       ? await this.getCredentials('gitExtendedApi')
-                                                       : {
-                                                               username: this.getNodeParameter('customUsername', index) as string,
-                                                               password: this.getNodeParameter('customPassword', index) as string,
-                                                       };
-                                       const url = new URL(remote);
-                                       url.username = creds.username as string;
-                                       url.password = creds.password as string;
-                                       remote = url.toString();
-                               }
-                       } catch {}
-                }
-                let cmd = `git -C "${repoPath}" pull`;
-                if (remote) cmd += ` ${remote}`;
-                if (branch) cmd += ` ${branch}`;
-                if (skipLfsSmudge) cmd = `GIT_LFS_SKIP_SMUDGE=1 ${cmd}`;
-                return { command: cmd };
-        },
-	async [Operation.Branches](_index, repoPath) {
-		return { command: `git -C "${repoPath}" branch` };
+		const paths = await splitFileList(files, repoPath);
+		return { commands: [{ args: ['-C', repoPath, 'add', '--', ...paths] }] };
+	},
+	async [Operation.Commit](index, repoPath) {
+		const message = this.getNodeParameter('commitMessage', index) as string;
+		const commitFiles = this.getNodeParameter('commitFiles', index, 'all') as string;
+		const options = this.getNodeParameter('commitOptions', index, {}) as IDataObject;
+		const paths =
+			commitFiles === 'paths' ? splitList(this.getNodeParameter('commitPaths', index) as string) : [];
+		const pathArgs = paths.length ? ['--', ...paths] : [];
+		const notCommitted = (reason: string): CommandResult => ({
+			commands: [],
+			message: reason,
+			parse: (stdout) => ({ committed: false, commit: null, files: [], stdout }),
+		});
+		// An amended or explicitly empty commit is made even without changes
+		const mayBeEmpty = Boolean(options.amend || options.allowEmpty);
+		const limits = getExecLimits.call(this, index);
+
+		if (commitFiles === 'all') {
+			const { stdout } = await execGitLarge(
+				{ args: ['-C', repoPath, 'status', '--porcelain'] },
+				limits,
+			);
+			if (stdout.trim() === '' && !mayBeEmpty) return notCommitted('No changes to commit');
+		}
+		// Stage changed, deleted and untracked files so the commit succeeds
+		if (commitFiles !== 'staged') {
+			await execGit({ args: ['-C', repoPath, 'add', '-A', ...pathArgs] }, limits);
+		}
+		const { stdout: diff } = await execGitLarge(
+			{ args: ['-C', repoPath, 'diff', '--cached', '--name-only', ...pathArgs] },
+			limits,
+		);
+		if (diff.trim() === '' && !mayBeEmpty) return notCommitted('No staged changes to commit');
+
+		const args = ['-C', repoPath, 'commit'];
+		if (options.amend && !message) args.push('--no-edit');
+		else args.push('-m', message);
+		if (options.amend) args.push('--amend');
+		if (options.allowEmpty) args.push('--allow-empty');
+		if (options.signoff) args.push('--signoff');
+		const prepare = prepareSigning.call(this, index);
+		if (prepare) args.push('--gpg-sign');
+		for (const trailer of ((options.trailers as string) ?? '').split('\n')) {
+			if (trailer.trim()) args.push('--trailer', trailer.trim());
+		}
+		args.push(...pathArgs);
+		const identity: Array<[string, string]> = [
+			['authorName', 'GIT_AUTHOR_NAME'],
+			['authorEmail', 'GIT_AUTHOR_EMAIL'],
+			['authorDate', 'GIT_AUTHOR_DATE'],
+			['committerName', 'GIT_COMMITTER_NAME'],
+			['committerEmail', 'GIT_COMMITTER_EMAIL'],
+			['committerDate', 'GIT_COMMITTER_DATE'],
+		];
+		const env: Record<string, string> = {};
+		for (const [option, variable] of identity) {
+			if (options[option]) env[variable] = options[option] as string;
+		}
+
+		return {
+			commands: [{ args, env }],
+			prepare,
+			parse: async (stdout, stderr) => {
+				const { stdout: log } = await execGitLarge(
+					{
+						args: ['-C', repoPath, 'log', '-1', `--format=${LOG_FORMAT}`, '--name-status', 'HEAD'],
+					},
+					limits,
+				);
+				const { stdout: branch } = await execGit(
+					{ args: ['-C', repoPath, 'branch', '--show-current'] },
+					limits,
+				);
+				const [{ hash, parents, author, committer, subject, files }] = parseLog(log);
+				return {
+					committed: true,
+					commit: hash,
+					branch: branch.trim() || null,
+					parents,
+					author,
+					committer,
+					subject,
+					files,
+					stdout: stdout.trim(),
+					stderr: stderr.trim(),
+				};
+			},
+		};
+	},
+	async [Operation.Push](index, repoPath) {
+		const remote = this.getNodeParameter('remote', index) as string;
+		const branch = this.getNodeParameter('branch', index) as string;
+		const forcePush = this.getNodeParameter('forcePush', index, false) as boolean;
+		const pushLfsObjects = this.getNodeParameter('pushLfsObjects', index, false) as boolean;
+		const skipLfsPush = this.getNodeParameter('skipLfsPush', index, false) as boolean;
+		checkArgument.call(this, index, 'Remote', remote);
+		checkArgument.call(this, index, 'Branch', branch);
+		const target = [remote, branch].filter((arg) => arg);
+		const commands: GitCommand[] = [];
+		if (pushLfsObjects) {
+			commands.push({ args: ['-C', repoPath, 'lfs', 'push', '--all', ...target] });
+		}
+		const push: GitCommand = { args: ['-C', repoPath, 'push', ...target] };
+		if (forcePush) push.args.push('--force');
+		if (skipLfsPush) push.env = { GIT_LFS_SKIP_PUSH: '1' };
+		commands.push(push);
+		return { commands };
+	},
+	async [Operation.LfsPush](index, repoPath) {
+		const remote = this.getNodeParameter('remote', index) as string;
+		const branch = this.getNodeParameter('branch', index) as string;
+		const args = ['-C', repoPath, 'lfs', 'push', '--all'];
+		if (remote) args.push(checkArgument.call(this, index, 'Remote', remote));
+		if (branch) args.push(checkArgument.call(this, index, 'Branch', branch));
+		return { commands: [{ args }] };
+	},
+	async [Operation.Pull](index, repoPath) {
+		const remote = this.getNodeParameter('remote', index) as string;
+		const branch = this.getNodeParameter('branch', index) as string;
+		const skipLfsSmudge = this.getNodeParameter('skipLfsSmudge', index, false) as boolean;
+		const recurseSubmodules = this.getNodeParameter('recurseSubmodules', index, false) as boolean;
+		const command: GitCommand = {
+			args: ['-C', repoPath, 'pull', ...(await shallowArgs.call(this, index, repoPath))],
+		};
+		if (recurseSubmodules) command.args.push('--recurse-submodules');
+		if (remote) command.args.push(checkArgument.call(this, index, 'Remote', remote));
+		if (branch) command.args.push(checkArgument.call(this, index, 'Branch', branch));
+		if (skipLfsSmudge) command.env = { GIT_LFS_SKIP_SMUDGE: '1' };
+		if (!recurseSubmodules) return { commands: [command] };
+		// pull only updates submodules that are already initialized
+		return {
+			commands: [
+				command,
+				{ args: ['-C', repoPath, 'submodule', 'update', '--init', '--recursive'], env: command.env },
+			],
+			remoteUrl: await getRemoteUrl(repoPath, remote),
+		};
+	},
+	async [Operation.Branches](index, repoPath) {
+		const outputFormat = this.getNodeParameter('outputFormat', index, 'text') as string;
+		const options = this.getNodeParameter('branchOptions', index, {}) as IDataObject;
+		const pattern = options.pattern as string | undefined;
+		const filters: string[] = [];
+		if (options.merged) filters.push('--merged', options.merged as string);
+		if (options.noMerged) filters.push('--no-merged', options.noMerged as string);
+		if (outputFormat === 'parsed') {
+			const patterns = [pattern ? `refs/heads/${pattern}` : 'refs/heads'];
+			// Remote branches are named <remote>/<branch>; the pattern matches either the branch name
+			// or the full name including the remote
+			if (options.includeRemote) {
+				patterns.push(
+					...(pattern ? [`refs/remotes/*/${pattern}`, `refs/remotes/${pattern}`] : ['refs/remotes']),
+				);
+			}
+			const args = ['-C', repoPath, 'for-each-ref', `--format=${BRANCH_FORMAT}`, ...filters];
+			return { commands: [{ args: [...args, ...patterns] }], parse: parseBranches };
+		}
+		const args = ['-C', repoPath, 'branch'];
+		if (options.includeRemote) args.push('--all');
+		args.push(...filters);
+		if (pattern) args.push('--list', checkArgument.call(this, index, 'Pattern', pattern));
+		if (pattern && options.includeRemote) args.push(`*/${pattern}`);
+		return { commands: [{ args }] };
 	},
 	async [Operation.CreateBranch](index, repoPath) {
 		const branchName = this.getNodeParameter('branchName', index) as string;
-		return { command: `git -C "${repoPath}" branch ${branchName}` };
+		checkArgument.call(this, index, 'Branch Name', branchName);
+		return { commands: [{ args: ['-C', repoPath, 'branch', branchName] }] };
 	},
 	async [Operation.DeleteBranch](index, repoPath) {
 		const branchName = this.getNodeParameter('branchName', index) as string;
-		return { command: `git -C "${repoPath}" branch -d ${branchName}` };
+		checkArgument.call(this, index, 'Branch Name', branchName);
+		return { commands: [{ args: ['-C', repoPath, 'branch', '-d', branchName] }] };
 	},
 	async [Operation.RenameBranch](index, repoPath) {
 		const currentName = this.getNodeParameter('currentName', index) as string;
 		const newName = this.getNodeParameter('newName', index) as string;
-		return { command: `git -C "${repoPath}" branch -m ${currentName} ${newName}` };
+		checkArgument.call(this, index, 'Current Name', currentName);
+		checkArgument.call(this, index, 'New Name', newName);
+		return { commands: [{ args: ['-C', repoPath, 'branch', '-m', currentName, newName] }] };
 	},
-	async [Operation.Commits](_index, repoPath) {
-		return { command: `git -C "${repoPath}" log --oneline` };
+	async [Operation.Commits](index, repoPath) {
+		return buildLogCommand.call(this, index, repoPath, '--oneline');
+	},
+	async [Operation.Status](index, repoPath) {
+		const outputFormat = this.getNodeParameter('outputFormat', index, 'text') as string;
+		if (outputFormat === 'parsed') {
+			return {
+				commands: [{ args: ['-C', repoPath, 'status', '--porcelain=v2', '--branch', '-z'] }],
+				parse: parseStatus,
+			};
+		}
+		return { commands: [{ args: ['-C', repoPath, 'status'] }] };
 	},
-	async [Operation.Status](_index, repoPath) {
-		return { command: `git -C "${repoPath}" status` };
+	async [Operation.Log](index, repoPath) {
+		return buildLogCommand.call(this, index, repoPath, '');
 	},
-	async [Operation.Log](_index, repoPath) {
-		return { command: `git -C "${repoPath}" log` };
+	async [Operation.Diff](index, repoPath) {
+		const mode = this.getNodeParameter('diffMode', index, 'workingTree') as string;
+		const diffOutput = this.getNodeParameter('diffOutput', index, 'patch') as string;
+		const options = this.getNodeParameter('diffOptions', index, {}) as IDataObject;
+		const args = ['-C', repoPath, 'diff', '--no-color', '--no-ext-diff'];
+		if (diffOutput === 'summary') args.push('--numstat', '-z');
+		if (diffOutput === 'patch') args.push('--binary');
+		if (options.contextLines !== undefined && options.contextLines !== '') {
+			args.push(`--unified=${Number(options.contextLines)}`);
+		}
+		if (mode === 'staged') {
+			args.push('--cached');
+		} else if (mode === 'refs') {
+			const fromRef = this.getNodeParameter('fromRef', index) as string;
+			const toRef = this.getNodeParameter('toRef', index, '') as string;
+			if (!fromRef) {
+				throw new NodeOperationError(this.getNode(), 'From Ref is required', { itemIndex: index });
+			}
+			args.push(checkArgument.call(this, index, 'From Ref', fromRef));
+			if (toRef) args.push(checkArgument.call(this, index, 'To Ref', toRef));
+		}
+		if (options.paths) args.push('--', ...splitList(options.paths as string));
+
+		let parse: CommandResult['parse'];
+		if (diffOutput === 'summary') parse = parseNumstat;
+		else if (diffOutput === 'hunks') parse = parseDiff;
+		else parse = (stdout) => ({ patch: stdout });
+		return { commands: [{ args }], parse, streamable: diffOutput === 'patch' };
 	},
 	async [Operation.Switch](index, repoPath) {
 		const target = this.getNodeParameter('target', index) as string;
 		const create = this.getNodeParameter('create', index, false) as boolean;
-		return { command: `git -C "${repoPath}" switch${create ? ' -c' : ''} ${target}` };
+		checkArgument.call(this, index, 'Target', target);
+		const args = ['-C', repoPath, 'switch'];
+		if (create) args.push('-c');
+		return { commands: [{ args: [...args, target] }] };
 	},
 	async [Operation.Checkout](index, repoPath) {
 		const target = this.getNodeParameter('target', index) as string;
-		return { command: `git -C "${repoPath}" checkout ${target}` };
+		checkArgument.call(this, index, 'Target', target);
+		const args = ['-C', repoPath, 'checkout'];
+		if (this.getNodeParameter('recurseSubmodules', index, false)) args.push('--recurse-submodules');
+		return { commands: [{ args: [...args, target] }] };
 	},
 	async [Operation.Merge](index, repoPath) {
-		const target = this.getNodeParameter('target', index) as string;
-		return { command: `git -C "${repoPath}" merge ${target}` };
-	},
-        async [Operation.Fetch](index, repoPath) {
-                const remote = this.getNodeParameter('remote', index) as string;
-                const branch = this.getNodeParameter('branch', index) as string;
-                const skipLfsSmudge = this.getNodeParameter('skipLfsSmudge', index, false) as boolean;
-                let cmd = `git -C "${repoPath}" fetch`;
-                if (remote) cmd += ` ${remote}`;
-                if (branch) cmd += ` ${branch}`;
-                if (skipLfsSmudge) cmd = `GIT_LFS_SKIP_SMUDGE=1 ${cmd}`;
-                return { command: cmd };
-        },
+		return buildSequenceCommand.call(this, index, repoPath, 'merge', () => {
+			const target = this.getNodeParameter('target', index) as string;
+			const options = this.getNodeParameter('mergeOptions', index, {}) as IDataObject;
+			const args: string[] = [];
+			if (options.fastForward === 'noFf') args.push('--no-ff');
+			if (options.fastForward === 'ffOnly') args.push('--ff-only');
+			if (options.squash) args.push('--squash');
+			if (options.strategyOption) args.push('-X', options.strategyOption as string);
+			if (options.message) args.push('-m', options.message as string);
+			return [...args, checkArgument.call(this, index, 'Target', target)];
+		});
+	},
+	async [Operation.Fetch](index, repoPath) {
+		const remote = this.getNodeParameter('remote', index) as string;
+		const branch = this.getNodeParameter('branch', index) as string;
+		const skipLfsSmudge = this.getNodeParameter('skipLfsSmudge', index, false) as boolean;
+		const command: GitCommand = {
+			args: ['-C', repoPath, 'fetch', ...(await shallowArgs.call(this, index, repoPath))],
+		};
+		if (remote) command.args.push(checkArgument.call(this, index, 'Remote', remote));
+		if (branch) command.args.push(checkArgument.call(this, index, 'Branch', branch));
+		if (skipLfsSmudge) command.env = { GIT_LFS_SKIP_SMUDGE: '1' };
+		return { commands: [command] };
+	},
 	async [Operation.Rebase](index, repoPath) {
-		const upstream = this.getNodeParameter('upstream', index) as string;
-		return { command: `git -C "${repoPath}" rebase ${upstream}` };
+		return buildSequenceCommand.call(this, index, repoPath, 'rebase', () => [
+			checkArgument.call(
+				this,
+				index,
+				'Upstream Branch',
+				this.getNodeParameter('upstream', index) as string,
+			),
+		]);
 	},
 	async [Operation.CherryPick](index, repoPath) {
-		const commit = this.getNodeParameter('commit', index) as string;
-		if (!commit) {
-			throw new NodeOperationError(this.getNode(), 'Commit ID is required');
-		}
-		return { command: `git -C "${repoPath}" cherry-pick ${commit}` };
+		return buildSequenceCommand.call(this, index, repoPath, 'cherry-pick', () => {
+			const commit = this.getNodeParameter('commit', index) as string;
+			if (!commit) {
+				throw new NodeOperationError(this.getNode(), 'Commit ID is required');
+			}
+			return [checkArgument.call(this, index, 'Commit ID', commit)];
+		});
 	},
 	async [Operation.Revert](index, repoPath) {
 		const commit = this.getNodeParameter('commit', index) as string;
 		if (!commit) {
 			throw new NodeOperationError(this.getNode(), 'Commit ID is required');
 		}
-		return { command: `git -C "${repoPath}" revert ${commit} --no-edit` };
+		checkArgument.call(this, index, 'Commit ID', commit);
+		return { commands: [{ args: ['-C', repoPath, 'revert', commit, '--no-edit'] }] };
 	},
 	async [Operation.Reset](index, repoPath) {
 		const commit = this.getNodeParameter('commit', index, '') as string;
-		const commitArg = commit ? ` ${commit}` : '';
-		return { command: `git -C "${repoPath}" reset --hard${commitArg}` };
+		const args = ['-C', repoPath, 'reset', '--hard'];
+		if (commit) args.push(checkArgument.call(this, index, 'Commit ID', commit));
+		return { commands: [{ args }] };
+	},
+	async [Operation.Remotes](index, repoPath) {
+		const remoteAction = this.getNodeParameter('remoteAction', index, 'list') as string;
+		if (remoteAction === 'list') {
+			return { commands: [{ args: ['-C', repoPath, 'remote', '--verbose'] }], parse: parseRemotes };
+		}
+		const remoteName = checkArgument.call(
+			this,
+			index,
+			'Remote Name',
+			this.getNodeParameter('remoteName', index) as string,
+		);
+		const remoteUrl = () => {
+			const url = this.getNodeParameter('remoteUrl', index) as string;
+			return checkArgument.call(this, index, 'Remote URL', url);
+		};
+		const args = ['-C', repoPath, 'remote'];
+		if (remoteAction === 'add') {
+			args.push('add', remoteName, remoteUrl());
+		} else if (remoteAction === 'remove') {
+			args.push('remove', remoteName);
+		} else if (remoteAction === 'rename') {
+			const newName = this.getNodeParameter('newRemoteName', index) as string;
+			args.push('rename', remoteName, checkArgument.call(this, index, 'New Remote Name', newName));
+		} else {
+			const pushUrl = this.getNodeParameter('setPushUrl', index, false) as boolean;
+			args.push('set-url', ...(pushUrl ? ['--push'] : []), remoteName, remoteUrl());
+		}
+		return { commands: [{ args }] };
 	},
 	async [Operation.Stash](_index, repoPath) {
-		return { command: `git -C "${repoPath}" stash` };
+		return { commands: [{ args: ['-C', repoPath, 'stash'] }] };
 	},
 	async [Operation.Tag](index, repoPath) {
-		const tagName = this.getNodeParameter('tagName', index) as string;
+		const tagAction = this.getNodeParameter('tagAction', index, 'create') as string;
+		if (tagAction === 'list') {
+			const options = this.getNodeParameter('tagListOptions', index, {}) as IDataObject;
+			const args = ['-C', repoPath, 'tag', '--list', `--format=${TAG_FORMAT}`];
+			if (options.sort) args.push(`--sort=${options.sort}`);
+			if (options.pattern) {
+				args.push(checkArgument.call(this, index, 'Pattern', options.pattern as string));
+			}
+			return { commands: [{ args }], parse: parseTags };
+		}
+
+		const tagName = checkArgument.call(
+			this,
+			index,
+			'Tag Name',
+			this.getNodeParameter('tagName', index) as string,
+		);
+		if (tagAction === 'delete') {
+			return { commands: [{ args: ['-C', repoPath, 'tag', '--delete', tagName] }] };
+		}
+		if (tagAction === 'push' || tagAction === 'deleteRemote') {
+			const remote = this.getNodeParameter('remote', index) as string;
+			const args = ['-C', repoPath, 'push', checkArgument.call(this, index, 'Remote', remote)];
+			if (tagAction === 'deleteRemote') args.push('--delete');
+			return { commands: [{ args: [...args, `refs/tags/${tagName}`] }], network: true };
+		}
+
 		const tagCommit = this.getNodeParameter('tagCommit', index) as string;
-		let cmd = `git -C "${repoPath}" tag ${tagName}`;
-		if (tagCommit) cmd += ` ${tagCommit}`;
-		return { command: cmd };
-	},
-        async [Operation.ApplyPatch](index, repoPath) {
-                const patchInput = this.getNodeParameter('patchInput', index) as string;
-                const binary = this.getNodeParameter('binary', index) as boolean;
-                let patchFile: string;
-                let tempFile: string | undefined;
+		const options = this.getNodeParameter('tagOptions', index, {}) as IDataObject;
+		const args = ['-C', repoPath, 'tag'];
+		if (options.force) args.push('--force');
+		const prepare = prepareSigning.call(this, index);
+		if (prepare && !options.message) {
+			throw new NodeOperationError(this.getNode(), 'A signed tag needs a message', {
+				itemIndex: index,
+			});
+		}
+		if (prepare) args.push('--sign', '--message', options.message as string);
+		else if (options.message) args.push('--annotate', '--message', options.message as string);
+		args.push(tagName);
+		if (tagCommit) args.push(checkArgument.call(this, index, 'Commit ID', tagCommit));
+		// Git takes the tagger identity of annotated tags from the committer variables
+		const env: Record<string, string> = {};
+		if (options.taggerName) env.GIT_COMMITTER_NAME = options.taggerName as string;
+		if (options.taggerEmail) env.GIT_COMMITTER_EMAIL = options.taggerEmail as string;
+		if (options.taggerDate) env.GIT_COMMITTER_DATE = options.taggerDate as string;
+		return { commands: [{ args, env }], prepare };
+	},
+	async [Operation.Verify](index, repoPath) {
+		const verifyTarget = this.getNodeParameter('verifyTarget', index, 'commits') as string;
+		const ref = checkArgument.call(
+			this,
+			index,
+			'Reference',
+			this.getNodeParameter('verifyRef', index) as string,
+		);
+		const options = this.getNodeParameter('verifyOptions', index, {}) as IDataObject;
+		const prepare = async () => await setupVerification(options);
+
+		if (verifyTarget === 'tag') {
+			return {
+				commands: [{ args: ['-C', repoPath, 'verify-tag', '--raw', ref] }],
+				prepare,
+				parse: (_stdout, stderr) => ({ tag: ref, ...parseTagSignature(stderr, true) }),
+				// verify-tag exits with 1 for unsigned tags and bad or unverifiable signatures
+				recover: async (error) => {
+					const code = (error as ExecError & { code?: unknown }).code;
+					if (code !== 1 || /tag '.*' not found|not a tag/i.test(error.stderr ?? '')) return undefined;
+					return { tag: ref, ...parseTagSignature(error.stderr ?? '', false) };
+				},
+			};
+		}
+		// A single revision is checked on its own; a range lists every commit in it
+		const args = ['-C', repoPath, 'log', `--format=${SIGNATURE_FORMAT}`];
+		if (!ref.includes('..')) args.push('--no-walk');
+		if (options.maxCount) args.push(`--max-count=${options.maxCount}`);
+		return {
+			commands: [{ args: [...args, ref, '--'] }],
+			prepare,
+			parse: parseSignatures,
+		};
+	},
+	async [Operation.Blame](index, repoPath) {
+		const filePath = this.getNodeParameter('blamePath', index) as string;
+		const ref = this.getNodeParameter('blameRef', index, '') as string;
+		const groupBy = this.getNodeParameter('blameGroupBy', index, 'line') as string;
+		const options = this.getNodeParameter('blameOptions', index, {}) as IDataObject;
+		const args = ['-C', repoPath, 'blame', '--porcelain'];
+		if (options.ignoreWhitespace) args.push('-w');
+		if (options.ignoreRevsFile) args.push('--ignore-revs-file', options.ignoreRevsFile as string);
+		if (options.startLine || options.endLine) {
+			args.push('-L', `${options.startLine || ''},${options.endLine || ''}`);
+		}
+		if (ref) args.push(checkArgument.call(this, index, 'Reference', ref));
+		return {
+			commands: [{ args: [...args, '--', filePath] }],
+			parse: (stdout) => {
+				const lines = parseBlame(stdout);
+				return groupBy === 'hunk' ? groupBlameHunks(lines) : lines;
+			},
+		};
+	},
+	async [Operation.Search](index, repoPath) {
+		const pattern = this.getNodeParameter('searchPattern', index) as string;
+		const ref = this.getNodeParameter('searchRef', index, '') as string;
+		const options = this.getNodeParameter('searchOptions', index, {}) as IDataObject;
+		const contextLines = (options.contextLines as number) ?? 0;
+		// --column tells matches apart from context lines, which have no column
+		const args = ['-C', repoPath, 'grep', '--null', '--line-number', '--column'];
+		args.push('-I', '--no-color');
+		args.push(options.fixedStrings ? '--fixed-strings' : '--extended-regexp');
+		if (options.ignoreCase) args.push('--ignore-case');
+		if (contextLines) args.push(`--context=${contextLines}`);
+		if (options.includeUntracked && !ref) args.push('--untracked');
+		args.push('-e', pattern);
+		if (ref) args.push(checkArgument.call(this, index, 'Reference', ref));
+		return {
+			commands: [{ args: [...args, '--', ...splitList((options.paths as string) ?? '')] }],
+			parse: (stdout) => parseGrep(stdout, ref, contextLines),
+			// git grep exits with 1 when nothing matches
+			recover: async (error) => {
+				const code = (error as ExecError & { code?: unknown }).code;
+				return code === 1 && !error.stderr?.trim() ? [] : undefined;
+			},
+		};
+	},
+	async [Operation.Submodules](index, repoPath) {
+		const submoduleAction = this.getNodeParameter('submoduleAction', index, 'status') as string;
+		const options = this.getNodeParameter('submoduleOptions', index, {}) as IDataObject;
+		const args = ['-C', repoPath, 'submodule', submoduleAction];
+		if (submoduleAction === 'update') {
+			if (options.init !== false) args.push('--init');
+			if (options.remote) args.push('--remote');
+		}
+		if (options.recursive && submoduleAction !== 'init') args.push('--recursive');
+		const paths = splitList((options.paths as string) ?? '');
+		const commands = [{ args: [...args, '--', ...paths] }];
+		if (submoduleAction === 'status') {
+			return { commands, parse: parseSubmoduleStatus };
+		}
+		if (submoduleAction === 'update') {
+			return { commands, network: true, remoteUrl: await getRemoteUrl(repoPath) };
+		}
+		return { commands };
+	},
+	async [Operation.ApplyPatch](index, repoPath) {
+		const patchMode = this.getNodeParameter('patchMode', index, 'apply') as string;
+		if (patchMode === 'mailbox') {
+			const mailboxAction = this.getNodeParameter('mailboxAction', index, 'apply') as string;
+			if (mailboxAction !== 'apply') {
+				return { commands: [{ args: ['-C', repoPath, 'am', `--${mailboxAction}`] }] };
+			}
+		}
+		const patchInput = this.getNodeParameter('patchInput', index) as string;
+		let patchFile: string;
+		let tempFile: string | undefined;
 		if (patchInput === 'text') {
 			const patchText = this.getNodeParameter('patchText', index) as string;
 			tempFile = join(tmpdir(), `patch-${Date.now()}-${Math.random().toString(36).slice(2)}`);
 			await fs.writeFile(tempFile, patchText);
 			patchFile = tempFile;
 		} else {
-			patchFile = this.getNodeParameter('patchFile', index) as string;
-		}
-                const command = `git -C "${repoPath}" apply${binary ? ' --binary' : ''} "${patchFile}"`;
-                return { command, tempFile };
-        },
-        async [Operation.ConfigUser](index, repoPath) {
-                const name = this.getNodeParameter('userName', index) as string;
-                const email = this.getNodeParameter('userEmail', index) as string;
-                const commands = [] as string[];
-                if (name) commands.push(`git -C "${repoPath}" config user.name "${name.replace(/"/g, '\\"')}"`);
-                if (email) commands.push(`git -C "${repoPath}" config user.email "${email.replace(/"/g, '\\"')}"`);
-                return { command: commands.join(' && ') };
-        },
+			patchFile = checkArgument.call(
+				this,
+				index,
+				'Patch File Path',
+				this.getNodeParameter('patchFile', index) as string,
+			);
+		}
+		if (patchMode === 'mailbox') {
+			const threeWay = this.getNodeParameter('threeWay', index, false) as boolean;
+			const args = ['-C', repoPath, 'am'];
+			if (threeWay) args.push('--3way');
+			return { commands: [{ args: [...args, patchFile] }], tempFile };
+		}
+		const binary = this.getNodeParameter('binary', index) as boolean;
+		const args = ['-C', repoPath, 'apply'];
+		if (binary) args.push('--binary');
+		return { commands: [{ args: [...args, patchFile] }], tempFile };
+	},
+	async [Operation.CreatePatch](index, repoPath) {
+		const range = checkArgument.call(
+			this,
+			index,
+			'Revision Range',
+			this.getNodeParameter('patchRange', index) as string,
+		);
+		const binaryPropertyName = this.getNodeParameter('binaryPropertyName', index) as string;
+		const dir = await fs.mkdtemp(join(tmpdir(), 'git-ext-patches-'));
+		try {
+			await execGitLarge(
+				{ args: ['-C', repoPath, 'format-patch', '-o', dir, range] },
+				getExecLimits.call(this, index),
+			);
+			const items: INodeExecutionData[] = [];
+			for (const fileName of (await fs.readdir(dir)).sort()) {
+				const content = await fs.readFile(join(dir, fileName));
+				const patch = content.toString('utf8');
+				items.push({
+					json: {
+						fileName,
+						commit: /^From ([0-9a-f]+) /.exec(patch)?.[1] ?? null,
+						subject: /^Subject: (?:\[PATCH[^\]]*\] )?(.*)$/m.exec(patch)?.[1] ?? '',
+						patch,
+					},
+					binary: {
+						[binaryPropertyName]: await this.helpers.prepareBinaryData(
+							content,
+							fileName,
+							'text/x-diff',
+						),
+					},
+				});
+			}
+			return { commands: [], items };
+		} finally {
+			await fs.rm(dir, { recursive: true, force: true });
+		}
+	},
+	async [Operation.ReadFile](index, repoPath) {
+		const ref = (this.getNodeParameter('ref', index, 'HEAD') as string) || 'HEAD';
+		checkArgument.call(this, index, 'Ref', ref);
+		const filePath = this.getNodeParameter('filePath', index) as string;
+		const fileOutput = this.getNodeParameter('fileOutput', index, 'binary') as string;
+		const limits = getExecLimits.call(this, index);
+		let paths = [filePath];
+		if (hasGlob(filePath)) {
+			const { stdout } = await execGitLarge(
+				{ args: ['-C', repoPath, 'ls-tree', '-r', '-z', '--name-only', ref] },
+				limits,
+			);
+			const matcher = globToRegExp(filePath);
+			paths = stdout.split('\0').filter((path) => path && matcher.test(path));
+		}
+
+		const items: INodeExecutionData[] = [];
+		for (const path of paths) {
+			const { stdout: content } = await execGitBuffer(
+				{ args: ['-C', repoPath, 'show', `${ref}:${path}`] },
+				limits,
+			);
+			const mimeType = guessMimeType(path);
+			if (fileOutput === 'text') {
+				items.push({
+					json: {
+						path,
+						ref,
+						mimeType: mimeType ?? 'text/plain',
+						size: content.length,
+						content: content.toString('utf8'),
+					},
+				});
+			} else {
+				const binaryPropertyName = this.getNodeParameter('binaryPropertyName', index) as string;
+				const binaryData = await this.helpers.prepareBinaryData(content, basename(path), mimeType);
+				items.push({
+					json: { path, ref, mimeType: binaryData.mimeType, size: content.length },
+					binary: { [binaryPropertyName]: binaryData },
+				});
+			}
+		}
+		return { commands: [], items };
+	},
+	async [Operation.WriteFile](index, repoPath) {
+		const filePath = this.getNodeParameter('filePath', index) as string;
+		const fileInput = this.getNodeParameter('fileInput', index, 'binary') as string;
+		const stage = this.getNodeParameter('stageFile', index, false) as boolean;
+		const target = resolve(repoPath, filePath);
+		const relativePath = relative(resolve(repoPath), target);
+		if (!relativePath || relativePath.startsWith('..') || isAbsolute(relativePath)) {
+			throw new NodeOperationError(this.getNode(), 'File Path must point to a file inside the repository', {
+				itemIndex: index,
+			});
+		}
+
+		let content: Buffer;
+		if (fileInput === 'text') {
+			content = Buffer.from(this.getNodeParameter('fileContent', index) as string, 'utf8');
+		} else {
+			const binaryPropertyName = this.getNodeParameter('binaryPropertyName', index) as string;
+			this.helpers.assertBinaryData(index, binaryPropertyName);
+			content = await this.helpers.getBinaryDataBuffer(index, binaryPropertyName);
+		}
+		await fs.mkdir(dirname(target), { recursive: true });
+		await fs.writeFile(target, content);
+
+		return {
+			commands: stage ? [{ args: ['-C', repoPath, 'add', '--', relativePath] }] : [],
+			items: [{ json: { path: relativePath, size: content.length, staged: stage } }],
+		};
+	},
+	async [Operation.ConfigUser](index, repoPath) {
+		const name = this.getNodeParameter('userName', index) as string;
+		const email = this.getNodeParameter('userEmail', index) as string;
+		const commands: GitCommand[] = [];
+		if (name) commands.push({ args: ['-C', repoPath, 'config', 'user.name', name] });
+		if (email) commands.push({ args: ['-C', repoPath, 'config', 'user.email', email] });
+		return { commands };
+	},
 };
 
 export class GitExtended implements INodeType {
@@ -325,6 +1338,33 @@ export class GitExtended implements INodeType {
 					},
 				},
 			},
+			{
+				name: 'gitExtendedTokenApi',
+				required: true,
+				displayOptions: {
+					show: {
+						authentication: ['gitExtendedTokenApi'],
+					},
+				},
+			},
+			{
+				name: 'gitExtendedSshApi',
+				required: true,
+				displayOptions: {
+					show: {
+						authentication: ['gitExtendedSshApi'],
+					},
+				},
+			},
+			{
+				name: 'gitExtendedSigningApi',
+				required: true,
+				displayOptions: {
+					show: {
+						sign: [true],
+					},
+				},
+			},
 		],
 		properties: [
 			{
@@ -343,6 +1383,11 @@ export class GitExtended implements INodeType {
 						value: 'applyPatch',
 						action: 'Apply patch',
 					},
+					{
+						name: 'Blame',
+						value: 'blame',
+						action: 'Show who last changed each line',
+					},
 					{
 						name: 'Branches',
 						value: 'branches',
@@ -383,11 +1428,21 @@ export class GitExtended implements INodeType {
                                                 value: 'createBranch',
                                                 action: 'Create branch',
                                         },
+					{
+						name: 'Create Patch',
+						value: 'createPatch',
+						action: 'Create patches from commits',
+					},
 					{
 						name: 'Delete Branch',
 						value: 'deleteBranch',
 						action: 'Delete branch',
 					},
+					{
+						name: 'Diff',
+						value: 'diff',
+						action: 'Show diff',
+					},
 					{
 						name: 'Fetch',
 						value: 'fetch',
@@ -428,6 +1483,11 @@ export class GitExtended implements INodeType {
                                                 value: 'rebase',
                                                 action: 'Rebase branch',
                                         },
+					{
+						name: 'Remotes',
+						value: 'remotes',
+						action: 'Manage remotes',
+					},
 					{
 						name: 'Rename Branch',
 						value: 'renameBranch',
@@ -443,6 +1503,11 @@ export class GitExtended implements INodeType {
 						value: 'revert',
 						action: 'Revert commit',
 					},
+					{
+						name: 'Search',
+						value: 'search',
+						action: 'Search file contents',
+					},
 					{
 						name: 'Stash',
 						value: 'stash',
@@ -453,6 +1518,11 @@ export class GitExtended implements INodeType {
 						value: 'status',
 						action: 'Show status',
 					},
+					{
+						name: 'Submodules',
+						value: 'submodules',
+						action: 'Manage submodules',
+					},
                                         {
                                                 name: 'Switch Branch',
                                                 value: 'switch',
@@ -463,6 +1533,16 @@ export class GitExtended implements INodeType {
                                                 value: 'tag',
                                                 action: 'Create tag',
                                         },
+					{
+						name: 'Verify',
+						value: 'verify',
+						action: 'Verify signatures',
+					},
+					{
+						name: 'Write File',
+						value: 'writeFile',
+						action: 'Write file',
+					},
                                 ],
 				default: 'status',
 			},
@@ -471,6 +1551,10 @@ export class GitExtended implements INodeType {
 				name: 'authentication',
 				type: 'options',
                                options: [
+					{
+						name: 'Access Token',
+						value: 'gitExtendedTokenApi',
+					},
                                        {
                                                name: 'Authenticate',
                                                value: 'gitExtendedApi',
@@ -483,10 +1567,18 @@ export class GitExtended implements INodeType {
                                                name: 'None',
                                                value: 'none',
                                        },
+					{
+						name: 'SSH Key',
+						value: 'gitExtendedSshApi',
+					},
                                ],
 				displayOptions: {
 					show: {
-						operation: ['clone', 'push', 'pull'],
+						operation: ['clone', 'push', 'pull', 'fetch', 'lfsPush', 'submodules', 'tag'],
+					},
+					hide: {
+						submoduleAction: ['init', 'status', 'sync'],
+						tagAction: ['create', 'delete', 'list'],
 					},
 				},
                                 default: 'none',
@@ -500,8 +1592,12 @@ export class GitExtended implements INodeType {
                                 displayOptions: {
                                         show: {
                                                 authentication: ['custom'],
-                                                operation: ['clone', 'push', 'pull'],
+                                                operation: ['clone', 'push', 'pull', 'fetch', 'lfsPush', 'submodules', 'tag'],
                                         },
+					hide: {
+						submoduleAction: ['init', 'status', 'sync'],
+						tagAction: ['create', 'delete', 'list'],
+					},
                                 },
                                 description: 'Username for custom authentication',
                         },
@@ -514,8 +1610,12 @@ export class GitExtended implements INodeType {
                                 displayOptions: {
                                         show: {
                                                 authentication: ['custom'],
-                                                operation: ['clone', 'push', 'pull'],
+                                                operation: ['clone', 'push', 'pull', 'fetch', 'lfsPush', 'submodules', 'tag'],
                                         },
+					hide: {
+						submoduleAction: ['init', 'status', 'sync'],
+						tagAction: ['create', 'delete', 'list'],
+					},
                                 },
                                 description: 'Password for custom authentication',
                         },
@@ -553,12 +1653,81 @@ export class GitExtended implements INodeType {
 					},
 				},
 			},
+			{
+				displayName: 'Options',
+				name: 'cloneOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				displayOptions: {
+					show: {
+						operation: ['clone'],
+					},
+				},
+				options: [
+					{
+						displayName: 'Branch or Tag',
+						name: 'branch',
+						type: 'string',
+						default: '',
+						placeholder: 'main',
+						description: 'Branch or tag to check out instead of the remote HEAD',
+					},
+					{
+						displayName: 'Depth',
+						name: 'depth',
+						type: 'number',
+						typeOptions: {
+							minValue: 1,
+						},
+						default: 1,
+						description:
+							'Number of most recent commits to download. A shallow clone only fetches the checked out branch.',
+					},
+					{
+						displayName: 'Partial Clone Filter',
+						name: 'filter',
+						type: 'options',
+						options: [
+							{
+								name: 'Blobless',
+								value: 'blob:none',
+								description: 'Download file contents only when they are checked out',
+							},
+							{
+								name: 'Treeless',
+								value: 'tree:0',
+								description: 'Download trees and file contents only when they are needed',
+							},
+						],
+						default: 'blob:none',
+						description: 'Server-side filter that leaves objects out of the clone until they are needed',
+					},
+					{
+						displayName: 'Single Branch',
+						name: 'singleBranch',
+						type: 'boolean',
+						default: true,
+						description: 'Whether to only download the history of the checked out branch',
+					},
+					{
+						displayName: 'Sparse Checkout Paths',
+						name: 'sparsePaths',
+						type: 'string',
+						default: '',
+						placeholder: 'packages/api, docs',
+						description:
+							'Comma or newline separated directories to check out in cone mode. Files at the repository root are always included.',
+					},
+				],
+			},
 			{
 				displayName: 'Files',
 				name: 'files',
 				type: 'string',
 				default: '.',
-				description: 'Files or patterns to add',
+				description:
+					'Comma-separated list of files or patterns to add. A list without commas is split on spaces unless it names an existing file.',
 				displayOptions: {
 					show: {
 						operation: ['add'],
@@ -571,6 +1740,7 @@ export class GitExtended implements INodeType {
 				type: 'string',
 				default: '',
 				required: true,
+				description: 'Message of the commit. When amending, leave empty to keep the previous message.',
 				displayOptions: {
 					show: {
 						operation: ['commit'],
@@ -578,15 +1748,148 @@ export class GitExtended implements INodeType {
 				},
 			},
 			{
-				displayName: 'Remote',
-				name: 'remote',
-				type: 'string',
-				default: 'origin',
-				description: 'Remote name',
+				displayName: 'Files to Commit',
+				name: 'commitFiles',
+				type: 'options',
+				options: [
+					{
+						name: 'All Changes',
+						value: 'all',
+						description: 'Stage and commit every changed, deleted and untracked file',
+					},
+					{
+						name: 'Selected Paths',
+						value: 'paths',
+						description: 'Stage and commit only the listed paths',
+					},
+					{
+						name: 'Staged Changes Only',
+						value: 'staged',
+						description: 'Commit what is already in the index',
+					},
+				],
+				default: 'all',
 				displayOptions: {
 					show: {
-                                                operation: ['push', 'pull', 'fetch', 'lfsPush'],
+						operation: ['commit'],
+					},
+				},
+			},
+			{
+				displayName: 'Paths',
+				name: 'commitPaths',
+				type: 'string',
+				default: '',
+				required: true,
+				placeholder: 'src/index.ts, docs/',
+				description: 'Comma or newline separated files or directories to commit',
+				displayOptions: {
+					show: {
+						operation: ['commit'],
+						commitFiles: ['paths'],
+					},
+				},
+			},
+			{
+				displayName: 'Options',
+				name: 'commitOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				displayOptions: {
+					show: {
+						operation: ['commit'],
+					},
+				},
+				options: [
+					{
+						displayName: 'Allow Empty',
+						name: 'allowEmpty',
+						type: 'boolean',
+						default: false,
+						description: 'Whether to create the commit even if it has no changes',
+					},
+					{
+						displayName: 'Amend',
+						name: 'amend',
+						type: 'boolean',
+						default: false,
+						description: 'Whether to replace the last commit instead of creating a new one',
+					},
+					{
+						displayName: 'Author Date',
+						name: 'authorDate',
+						type: 'string',
+						default: '',
+						placeholder: '2024-01-31T12:00:00Z',
+					},
+					{
+						displayName: 'Author Email',
+						name: 'authorEmail',
+						type: 'string',
+						placeholder: 'name@email.com',
+						default: '',
+					},
+					{
+						displayName: 'Author Name',
+						name: 'authorName',
+						type: 'string',
+						default: '',
+					},
+					{
+						displayName: 'Committer Date',
+						name: 'committerDate',
+						type: 'string',
+						default: '',
+						placeholder: '2024-01-31T12:00:00Z',
+					},
+					{
+						displayName: 'Committer Email',
+						name: 'committerEmail',
+						type: 'string',
+						placeholder: 'name@email.com',
+						default: '',
+					},
+					{
+						displayName: 'Committer Name',
+						name: 'committerName',
+						type: 'string',
+						default: '',
+					},
+					{
+						displayName: 'Sign Off',
+						name: 'signoff',
+						type: 'boolean',
+						default: false,
+						description: 'Whether to add a Signed-off-by trailer for the committer',
+					},
+					{
+						displayName: 'Trailers',
+						name: 'trailers',
+						type: 'string',
+						typeOptions: {
+							rows: 3,
+						},
+						default: '',
+						placeholder: 'Co-authored-by: Name <name@email.com>',
+						description: 'Trailers to append to the message, one "Key: value" per line',
+					},
+				],
+			},
+			{
+				displayName: 'Remote',
+				name: 'remote',
+				type: 'string',
+				default: 'origin',
+				description:
+					'Name of a configured remote or a repository URL. Credentials are applied at run time from the Authentication option.',
+				displayOptions: {
+					show: {
+                                                operation: ['push', 'pull', 'fetch', 'lfsPush', 'tag'],
                                         },
+					hide: {
+						tagAction: ['create', 'delete', 'list'],
+					},
                                 },
                         },
                         {
@@ -613,6 +1916,50 @@ export class GitExtended implements INodeType {
                                         },
                                 },
                         },
+			{
+				displayName: 'Recurse Submodules',
+				name: 'recurseSubmodules',
+				type: 'boolean',
+				default: false,
+				description: 'Whether to also clone, update or check out the submodules of the repository',
+				displayOptions: {
+					show: {
+						operation: ['checkout', 'clone', 'pull'],
+					},
+				},
+			},
+			{
+				displayName: 'Shallow Options',
+				name: 'shallowOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				displayOptions: {
+					show: {
+						operation: ['fetch', 'pull'],
+					},
+				},
+				options: [
+					{
+						displayName: 'Depth',
+						name: 'depth',
+						type: 'number',
+						typeOptions: {
+							minValue: 1,
+						},
+						default: 1,
+						description: 'Limit the fetched history to this many commits from the tip of each branch',
+					},
+					{
+						displayName: 'Unshallow',
+						name: 'unshallow',
+						type: 'boolean',
+						default: true,
+						description:
+							'Whether to download the complete history of a shallow repository. Ignored when the repository is not shallow.',
+					},
+				],
+			},
                         {
                                 displayName: 'Force Push',
                                 name: 'forcePush',
@@ -688,6 +2035,145 @@ export class GitExtended implements INodeType {
 					},
 				},
 			},
+			{
+				displayName: 'Action',
+				name: 'sequenceAction',
+				type: 'options',
+				options: [
+					{
+						name: 'Abort',
+						value: 'abort',
+						description: 'Abort the operation in progress and restore the previous state',
+					},
+					{
+						name: 'Continue',
+						value: 'continue',
+						description: 'Continue after the conflicts have been resolved and staged',
+					},
+					{
+						name: 'Skip',
+						value: 'skip',
+						description: 'Skip the commit that caused the conflict (rebase and cherry pick only)',
+					},
+					{
+						name: 'Start',
+						value: 'start',
+						description: 'Start a new operation',
+					},
+				],
+				default: 'start',
+				displayOptions: {
+					show: {
+						operation: ['merge', 'rebase', 'cherryPick'],
+					},
+				},
+			},
+			{
+				displayName: 'On Conflict',
+				name: 'onConflict',
+				type: 'options',
+				options: [
+					{
+						name: 'Abort',
+						value: 'abort',
+						description: 'Abort the operation and return the conflict details',
+					},
+					{
+						name: 'Fail',
+						value: 'fail',
+						description: 'Throw an error and leave the operation in progress',
+					},
+					{
+						name: 'Leave in Place',
+						value: 'leave',
+						description: 'Return the conflict details and leave the operation in progress',
+					},
+				],
+				default: 'fail',
+				description: 'What to do when the operation stops because of conflicts',
+				displayOptions: {
+					show: {
+						operation: ['merge', 'rebase', 'cherryPick'],
+					},
+					hide: {
+						sequenceAction: ['abort'],
+					},
+				},
+			},
+			{
+				displayName: 'Options',
+				name: 'mergeOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				displayOptions: {
+					show: {
+						operation: ['merge'],
+						sequenceAction: ['start'],
+					},
+				},
+				options: [
+					{
+						displayName: 'Fast-Forward',
+						name: 'fastForward',
+						type: 'options',
+						options: [
+							{
+								name: 'Allow',
+								value: 'allow',
+								description: 'Fast-forward when possible, otherwise create a merge commit',
+							},
+							{
+								name: 'Never (--No-Ff)',
+								value: 'noFf',
+								description: 'Always create a merge commit',
+							},
+							{
+								name: 'Only (--Ff-Only)',
+								value: 'ffOnly',
+								description: 'Fail unless the merge can be fast-forwarded',
+							},
+						],
+						default: 'allow',
+					},
+					{
+						displayName: 'Merge Message',
+						name: 'message',
+						type: 'string',
+						default: '',
+						description: 'Message for the merge commit instead of the default one',
+					},
+					{
+						displayName: 'Squash',
+						name: 'squash',
+						type: 'boolean',
+						default: false,
+						description: 'Whether to stage the merged changes as a single change without committing',
+					},
+					{
+						displayName: 'Strategy Option',
+						name: 'strategyOption',
+						type: 'options',
+						options: [
+							{
+								name: 'None',
+								value: '',
+							},
+							{
+								name: 'Ours',
+								value: 'ours',
+								description: 'Resolve conflicting hunks in favour of the current branch',
+							},
+							{
+								name: 'Theirs',
+								value: 'theirs',
+								description: 'Resolve conflicting hunks in favour of the merged branch',
+							},
+						],
+						default: '',
+					},
+				],
+			},
 			{
 				displayName: 'Upstream Branch',
 				name: 'upstream',
@@ -698,6 +2184,7 @@ export class GitExtended implements INodeType {
 				displayOptions: {
 					show: {
 						operation: ['rebase'],
+						sequenceAction: ['start'],
 					},
 				},
 			},
@@ -711,109 +2198,813 @@ export class GitExtended implements INodeType {
 					show: {
 						operation: ['cherryPick', 'revert', 'reset'],
 					},
+					hide: {
+						sequenceAction: ['abort', 'continue', 'skip'],
+					},
 				},
 			},
 			{
-				displayName: 'Tag Name',
-				name: 'tagName',
+				displayName: 'Action',
+				name: 'remoteAction',
+				type: 'options',
+				options: [
+					{
+						name: 'Add',
+						value: 'add',
+						description: 'Add a named remote',
+					},
+					{
+						name: 'List',
+						value: 'list',
+						description: 'Return one item per remote with its fetch and push URLs',
+					},
+					{
+						name: 'Remove',
+						value: 'remove',
+						description: 'Remove a remote and its remote-tracking branches',
+					},
+					{
+						name: 'Rename',
+						value: 'rename',
+						description: 'Rename a remote',
+					},
+					{
+						name: 'Set URL',
+						value: 'setUrl',
+						description: 'Change the URL of a remote',
+					},
+				],
+				default: 'list',
+				displayOptions: {
+					show: {
+						operation: ['remotes'],
+					},
+				},
+			},
+			{
+				displayName: 'Remote Name',
+				name: 'remoteName',
+				type: 'string',
+				default: 'origin',
+				required: true,
+				displayOptions: {
+					show: {
+						operation: ['remotes'],
+					},
+					hide: {
+						remoteAction: ['list'],
+					},
+				},
+			},
+			{
+				displayName: 'New Remote Name',
+				name: 'newRemoteName',
 				type: 'string',
 				default: '',
 				required: true,
-				description: 'Name of the tag',
 				displayOptions: {
 					show: {
-						operation: ['tag'],
+						operation: ['remotes'],
+						remoteAction: ['rename'],
 					},
 				},
 			},
 			{
-				displayName: 'Commit ID',
-				name: 'tagCommit',
+				displayName: 'Remote URL',
+				name: 'remoteUrl',
 				type: 'string',
 				default: '',
-				description: 'Commit to tag, defaults to HEAD',
+				required: true,
+				placeholder: 'https://github.com/example/repo.git',
+				description:
+					'URL of the remote. Leave credentials out of the URL; they are applied at run time by the Authentication option of push, pull and fetch.',
 				displayOptions: {
 					show: {
-						operation: ['tag'],
+						operation: ['remotes'],
+						remoteAction: ['add', 'setUrl'],
 					},
 				},
 			},
 			{
-				displayName: 'Patch Input',
-				name: 'patchInput',
+				displayName: 'Push URL Only',
+				name: 'setPushUrl',
+				type: 'boolean',
+				default: false,
+				description: 'Whether to change only the URL used for pushing',
+				displayOptions: {
+					show: {
+						operation: ['remotes'],
+						remoteAction: ['setUrl'],
+					},
+				},
+			},
+			{
+				displayName: 'Action',
+				name: 'tagAction',
 				type: 'options',
 				options: [
 					{
-						name: 'Text',
-						value: 'text',
+						name: 'Create',
+						value: 'create',
+						description: 'Create a lightweight or annotated tag',
 					},
 					{
-						name: 'File',
-						value: 'file',
+						name: 'Delete',
+						value: 'delete',
+						description: 'Delete a local tag',
+					},
+					{
+						name: 'Delete on Remote',
+						value: 'deleteRemote',
+						description: 'Delete a tag from a remote',
+					},
+					{
+						name: 'List',
+						value: 'list',
+						description: 'Return one item per tag',
+					},
+					{
+						name: 'Push',
+						value: 'push',
+						description: 'Push a tag to a remote',
 					},
 				],
-				default: 'text',
+				default: 'create',
 				displayOptions: {
 					show: {
-						operation: ['applyPatch'],
+						operation: ['tag'],
 					},
 				},
 			},
 			{
-				displayName: 'Patch Text',
-				name: 'patchText',
+				displayName: 'Tag Name',
+				name: 'tagName',
 				type: 'string',
-				typeOptions: {
-					rows: 5,
-				},
 				default: '',
+				required: true,
+				description: 'Name of the tag',
 				displayOptions: {
 					show: {
-						operation: ['applyPatch'],
-						patchInput: ['text'],
+						operation: ['tag'],
+					},
+					hide: {
+						tagAction: ['list'],
 					},
 				},
 			},
 			{
-				displayName: 'Patch File Path',
-				name: 'patchFile',
+				displayName: 'Commit ID',
+				name: 'tagCommit',
 				type: 'string',
 				default: '',
+				description: 'Commit to tag, defaults to HEAD',
 				displayOptions: {
 					show: {
-						operation: ['applyPatch'],
-						patchInput: ['file'],
+						operation: ['tag'],
+						tagAction: ['create'],
 					},
 				},
 			},
 			{
-				displayName: 'Binary',
-				name: 'binary',
-				type: 'boolean',
-				default: false,
-				description: 'Whether to apply the patch in binary mode',
+				displayName: 'Options',
+				name: 'tagOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
 				displayOptions: {
 					show: {
-						operation: ['applyPatch'],
+						operation: ['tag'],
+						tagAction: ['create'],
 					},
 				},
+				options: [
+					{
+						displayName: 'Force',
+						name: 'force',
+						type: 'boolean',
+						default: false,
+						description: 'Whether to replace an existing tag with the same name',
+					},
+					{
+						displayName: 'Message',
+						name: 'message',
+						type: 'string',
+						typeOptions: {
+							rows: 3,
+						},
+						default: '',
+						description: 'Tag message. Setting a message creates an annotated tag.',
+					},
+					{
+						displayName: 'Tagger Date',
+						name: 'taggerDate',
+						type: 'string',
+						default: '',
+						placeholder: '2024-01-31T12:00:00Z',
+						description: 'Date recorded for the tagger of an annotated tag',
+					},
+					{
+						displayName: 'Tagger Email',
+						name: 'taggerEmail',
+						type: 'string',
+						placeholder: 'name@email.com',
+						default: '',
+						description: 'Email recorded for the tagger of an annotated tag',
+					},
+					{
+						displayName: 'Tagger Name',
+						name: 'taggerName',
+						type: 'string',
+						default: '',
+						description: 'Name recorded for the tagger of an annotated tag',
+					},
+				],
 			},
 			{
-				displayName: 'Target',
-				name: 'target',
+				displayName: 'Options',
+				name: 'tagListOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				displayOptions: {
+					show: {
+						operation: ['tag'],
+						tagAction: ['list'],
+					},
+				},
+				options: [
+					{
+						displayName: 'Pattern',
+						name: 'pattern',
+						type: 'string',
+						default: '',
+						placeholder: 'v*',
+						description: 'Only list tags matching this glob pattern',
+					},
+					{
+						displayName: 'Sort',
+						name: 'sort',
+						type: 'options',
+						options: [
+							{
+								name: 'Date (Newest First)',
+								value: '-creatordate',
+							},
+							{
+								name: 'Date (Oldest First)',
+								value: 'creatordate',
+							},
+							{
+								name: 'Name',
+								value: 'refname',
+							},
+							{
+								name: 'Version (Highest First)',
+								value: '-version:refname',
+							},
+							{
+								name: 'Version (Lowest First)',
+								value: 'version:refname',
+							},
+						],
+						default: 'refname',
+					},
+				],
+			},
+			{
+				displayName: 'File Path',
+				name: 'blamePath',
 				type: 'string',
 				default: '',
 				required: true,
-				description: 'Branch or commit to operate on',
+				placeholder: 'src/index.ts',
+				description: 'Path of the file to blame, relative to the repository root',
 				displayOptions: {
 					show: {
-						operation: ['switch', 'checkout', 'merge'],
+						operation: ['blame'],
 					},
 				},
 			},
-                        {
-                                displayName: 'Create',
-                                name: 'create',
+			{
+				displayName: 'Reference',
+				name: 'blameRef',
+				type: 'string',
+				default: '',
+				placeholder: 'main',
+				description: 'Commit, branch or tag to blame the file at. Leave empty to include uncommitted changes.',
+				displayOptions: {
+					show: {
+						operation: ['blame'],
+					},
+				},
+			},
+			{
+				displayName: 'Group By',
+				name: 'blameGroupBy',
+				type: 'options',
+				options: [
+					{
+						name: 'Hunk',
+						value: 'hunk',
+						description: 'One item per run of consecutive lines last changed by the same commit',
+					},
+					{
+						name: 'Line',
+						value: 'line',
+						description: 'One item per line',
+					},
+				],
+				default: 'line',
+				displayOptions: {
+					show: {
+						operation: ['blame'],
+					},
+				},
+			},
+			{
+				displayName: 'Options',
+				name: 'blameOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				displayOptions: {
+					show: {
+						operation: ['blame'],
+					},
+				},
+				options: [
+					{
+						displayName: 'End Line',
+						name: 'endLine',
+						type: 'number',
+						typeOptions: {
+							minValue: 1,
+						},
+						default: 1,
+						description: 'Last line to blame. Leave unset to blame until the end of the file.',
+					},
+					{
+						displayName: 'Ignore Revisions File',
+						name: 'ignoreRevsFile',
+						type: 'string',
+						default: '.git-blame-ignore-revs',
+						description:
+							'File in the repository listing commits to skip, such as bulk reformatting commits',
+					},
+					{
+						displayName: 'Ignore Whitespace',
+						name: 'ignoreWhitespace',
+						type: 'boolean',
+						default: true,
+						description: 'Whether to ignore whitespace changes when finding the commit of a line',
+					},
+					{
+						displayName: 'Start Line',
+						name: 'startLine',
+						type: 'number',
+						typeOptions: {
+							minValue: 1,
+						},
+						default: 1,
+						description: 'First line to blame',
+					},
+				],
+			},
+			{
+				displayName: 'Pattern',
+				name: 'searchPattern',
+				type: 'string',
+				default: '',
+				required: true,
+				placeholder: 'TODO|FIXME',
+				description: 'Extended regular expression, or plain text when Fixed Strings is enabled',
+				displayOptions: {
+					show: {
+						operation: ['search'],
+					},
+				},
+			},
+			{
+				displayName: 'Reference',
+				name: 'searchRef',
+				type: 'string',
+				default: '',
+				placeholder: 'main',
+				description:
+					'Commit, branch or tag to search. Leave empty to search the tracked files in the working tree.',
+				displayOptions: {
+					show: {
+						operation: ['search'],
+					},
+				},
+			},
+			{
+				displayName: 'Options',
+				name: 'searchOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				displayOptions: {
+					show: {
+						operation: ['search'],
+					},
+				},
+				options: [
+					{
+						displayName: 'Context Lines',
+						name: 'contextLines',
+						type: 'number',
+						typeOptions: {
+							minValue: 0,
+						},
+						default: 2,
+						description: 'Number of lines to return before and after each match',
+					},
+					{
+						displayName: 'Fixed Strings',
+						name: 'fixedStrings',
+						type: 'boolean',
+						default: true,
+						description: 'Whether to match the pattern as plain text instead of a regular expression',
+					},
+					{
+						displayName: 'Ignore Case',
+						name: 'ignoreCase',
+						type: 'boolean',
+						default: true,
+						description: 'Whether to match regardless of letter case',
+					},
+					{
+						displayName: 'Include Untracked Files',
+						name: 'includeUntracked',
+						type: 'boolean',
+						default: true,
+						description:
+							'Whether to also search untracked files when searching the working tree',
+					},
+					{
+						displayName: 'Paths',
+						name: 'paths',
+						type: 'string',
+						default: '',
+						placeholder: 'src/, *.md',
+						description: 'Comma or newline separated pathspecs to limit the search to',
+					},
+				],
+			},
+			{
+				displayName: 'Action',
+				name: 'submoduleAction',
+				type: 'options',
+				options: [
+					{
+						name: 'Init',
+						value: 'init',
+						description: 'Register the submodules listed in .gitmodules in the repository config',
+					},
+					{
+						name: 'Status',
+						value: 'status',
+						description: 'List the submodules with their commit and state',
+					},
+					{
+						name: 'Sync',
+						value: 'sync',
+						description: 'Copy changed submodule URLs from .gitmodules to the repository config',
+					},
+					{
+						name: 'Update',
+						value: 'update',
+						description: 'Clone missing submodules and check out the commits the repository records',
+					},
+				],
+				default: 'status',
+				displayOptions: {
+					show: {
+						operation: ['submodules'],
+					},
+				},
+			},
+			{
+				displayName: 'Options',
+				name: 'submoduleOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				displayOptions: {
+					show: {
+						operation: ['submodules'],
+					},
+				},
+				options: [
+					{
+						displayName: 'Initialize',
+						name: 'init',
+						type: 'boolean',
+						default: true,
+						description: 'Whether to initialize submodules that are not initialized yet before updating',
+						displayOptions: {
+							show: {
+								'/submoduleAction': ['update'],
+							},
+						},
+					},
+					{
+						displayName: 'Paths',
+						name: 'paths',
+						type: 'string',
+						default: '',
+						placeholder: 'libs/core, vendor/tool',
+						description: 'Comma or newline separated submodule paths. Leave empty for all submodules.',
+					},
+					{
+						displayName: 'Recursive',
+						name: 'recursive',
+						type: 'boolean',
+						default: true,
+						description: 'Whether to include nested submodules',
+						displayOptions: {
+							hide: {
+								'/submoduleAction': ['init'],
+							},
+						},
+					},
+					{
+						displayName: 'Use Remote Branch',
+						name: 'remote',
+						type: 'boolean',
+						default: true,
+						description:
+							'Whether to update to the latest commit of the tracked remote branch instead of the recorded commit',
+						displayOptions: {
+							show: {
+								'/submoduleAction': ['update'],
+							},
+						},
+					},
+				],
+			},
+			{
+				displayName: 'Sign',
+				name: 'sign',
+				type: 'boolean',
+				default: false,
+				description:
+					'Whether to sign the commit or tag with the key from the signing credential. A signed tag needs a message.',
+				displayOptions: {
+					show: {
+						operation: ['commit', 'tag'],
+					},
+					hide: {
+						tagAction: ['delete', 'deleteRemote', 'list', 'push'],
+					},
+				},
+			},
+			{
+				displayName: 'Verify',
+				name: 'verifyTarget',
+				type: 'options',
+				options: [
+					{
+						name: 'Commits',
+						value: 'commits',
+						description: 'Check the signature of a commit or of every commit in a range',
+					},
+					{
+						name: 'Tag',
+						value: 'tag',
+						description: 'Check the signature of an annotated tag',
+					},
+				],
+				default: 'commits',
+				displayOptions: {
+					show: {
+						operation: ['verify'],
+					},
+				},
+			},
+			{
+				displayName: 'Reference',
+				name: 'verifyRef',
+				type: 'string',
+				default: 'HEAD',
+				required: true,
+				placeholder: 'main~5..main',
+				description:
+					'Commit, branch or range such as `main~5..main` to verify, or the tag name when verifying a tag',
+				displayOptions: {
+					show: {
+						operation: ['verify'],
+					},
+				},
+			},
+			{
+				displayName: 'Options',
+				name: 'verifyOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				displayOptions: {
+					show: {
+						operation: ['verify'],
+					},
+				},
+				options: [
+					{
+						displayName: 'Allowed SSH Signers',
+						name: 'allowedSigners',
+						type: 'string',
+						typeOptions: {
+							rows: 4,
+						},
+						default: '',
+						placeholder: 'dev@example.com ssh-ed25519 AAAA...',
+						description:
+							'Lines in the ssh-keygen allowed signers format naming the trusted SSH signing keys',
+					},
+					{
+						displayName: 'Max Commits',
+						name: 'maxCount',
+						type: 'number',
+						typeOptions: {
+							minValue: 1,
+						},
+						default: 100,
+						description: 'Maximum number of commits to verify in a range',
+					},
+					{
+						displayName: 'Trusted GPG Keys',
+						name: 'trustedKeys',
+						type: 'string',
+						typeOptions: {
+							rows: 4,
+						},
+						default: '',
+						description:
+							'ASCII-armored public keys to verify GPG signatures against instead of the keyring of the n8n user',
+					},
+				],
+			},
+			{
+				displayName: 'Mode',
+				name: 'patchMode',
+				type: 'options',
+				options: [
+					{
+						name: 'Apply',
+						value: 'apply',
+						description: 'Apply the patch to the working tree with git apply',
+					},
+					{
+						name: 'Apply Mailbox',
+						value: 'mailbox',
+						description: 'Create commits from mailbox patches with git am, keeping author and message',
+					},
+				],
+				default: 'apply',
+				displayOptions: {
+					show: {
+						operation: ['applyPatch'],
+					},
+				},
+			},
+			{
+				displayName: 'Action',
+				name: 'mailboxAction',
+				type: 'options',
+				options: [
+					{
+						name: 'Abort',
+						value: 'abort',
+						description: 'Abort the mailbox apply in progress and restore the original branch',
+					},
+					{
+						name: 'Apply',
+						value: 'apply',
+						description: 'Apply the given patches',
+					},
+					{
+						name: 'Continue',
+						value: 'continue',
+						description: 'Continue after resolving a conflict',
+					},
+					{
+						name: 'Skip',
+						value: 'skip',
+						description: 'Skip the patch that failed to apply',
+					},
+				],
+				default: 'apply',
+				displayOptions: {
+					show: {
+						operation: ['applyPatch'],
+						patchMode: ['mailbox'],
+					},
+				},
+			},
+			{
+				displayName: 'Three-Way Merge',
+				name: 'threeWay',
+				type: 'boolean',
+				default: false,
+				description: 'Whether to fall back to a three-way merge when a patch does not apply cleanly',
+				displayOptions: {
+					show: {
+						operation: ['applyPatch'],
+						patchMode: ['mailbox'],
+						mailboxAction: ['apply'],
+					},
+				},
+			},
+			{
+				displayName: 'Patch Input',
+				name: 'patchInput',
+				type: 'options',
+				options: [
+					{
+						name: 'Text',
+						value: 'text',
+					},
+					{
+						name: 'File',
+						value: 'file',
+					},
+				],
+				default: 'text',
+				displayOptions: {
+					show: {
+						operation: ['applyPatch'],
+					},
+					hide: {
+						mailboxAction: ['abort', 'continue', 'skip'],
+					},
+				},
+			},
+			{
+				displayName: 'Patch Text',
+				name: 'patchText',
+				type: 'string',
+				typeOptions: {
+					rows: 5,
+				},
+				default: '',
+				displayOptions: {
+					show: {
+						operation: ['applyPatch'],
+						patchInput: ['text'],
+					},
+					hide: {
+						mailboxAction: ['abort', 'continue', 'skip'],
+					},
+				},
+			},
+			{
+				displayName: 'Patch File Path',
+				name: 'patchFile',
+				type: 'string',
+				default: '',
+				displayOptions: {
+					show: {
+						operation: ['applyPatch'],
+						patchInput: ['file'],
+					},
+					hide: {
+						mailboxAction: ['abort', 'continue', 'skip'],
+					},
+				},
+			},
+			{
+				displayName: 'Binary',
+				name: 'binary',
+				type: 'boolean',
+				default: false,
+				description: 'Whether to apply the patch in binary mode',
+				displayOptions: {
+					show: {
+						operation: ['applyPatch'],
+						patchMode: ['apply'],
+					},
+				},
+			},
+			{
+				displayName: 'Target',
+				name: 'target',
+				type: 'string',
+				default: '',
+				required: true,
+				description: 'Branch or commit to operate on',
+				displayOptions: {
+					show: {
+						operation: ['switch', 'checkout', 'merge'],
+					},
+					hide: {
+						sequenceAction: ['abort', 'continue'],
+					},
+				},
+			},
+                        {
+                                displayName: 'Create',
+                                name: 'create',
                                 type: 'boolean',
                                 default: false,
                                 description: 'Whether to create the branch if it does not exist',
@@ -849,6 +3040,607 @@ export class GitExtended implements INodeType {
                                         },
                                 },
                         },
+			{
+				displayName: 'Output Format',
+				name: 'outputFormat',
+				type: 'options',
+				options: [
+					{
+						name: 'Parsed',
+						value: 'parsed',
+						description: 'Return structured JSON parsed from the command output',
+					},
+					{
+						name: 'Text',
+						value: 'text',
+						description: 'Return the raw command output as text',
+					},
+				],
+				default: 'text',
+				displayOptions: {
+					show: {
+						operation: ['status', 'log', 'commits', 'branches'],
+					},
+				},
+			},
+			{
+				displayName: 'File Path',
+				name: 'filePath',
+				type: 'string',
+				default: '',
+				required: true,
+				placeholder: 'docs/**/*.md',
+				description:
+					'Path of the file relative to the repository root. When reading, a glob pattern selects every matching file.',
+				displayOptions: {
+					show: {
+						operation: ['readFile', 'writeFile'],
+					},
+				},
+			},
+			{
+				displayName: 'Ref',
+				name: 'ref',
+				type: 'string',
+				default: 'HEAD',
+				description: 'Commit, branch or tag to read the file from',
+				displayOptions: {
+					show: {
+						operation: ['readFile'],
+					},
+				},
+			},
+			{
+				displayName: 'Output',
+				name: 'fileOutput',
+				type: 'options',
+				options: [
+					{
+						name: 'Binary',
+						value: 'binary',
+						description: 'Return the file as binary data',
+					},
+					{
+						name: 'Text',
+						value: 'text',
+						description: 'Return the file content as UTF-8 text in the content field',
+					},
+				],
+				default: 'binary',
+				displayOptions: {
+					show: {
+						operation: ['readFile'],
+					},
+				},
+			},
+			{
+				displayName: 'Input',
+				name: 'fileInput',
+				type: 'options',
+				options: [
+					{
+						name: 'Binary',
+						value: 'binary',
+						description: 'Write the content of a binary property of the input item',
+					},
+					{
+						name: 'Text',
+						value: 'text',
+						description: 'Write the given text',
+					},
+				],
+				default: 'binary',
+				displayOptions: {
+					show: {
+						operation: ['writeFile'],
+					},
+				},
+			},
+			{
+				displayName: 'Input Binary Field',
+				name: 'binaryPropertyName',
+				type: 'string',
+				default: 'data',
+				required: true,
+				hint: 'The name of the input binary field containing the file to be written',
+				displayOptions: {
+					show: {
+						operation: ['writeFile'],
+						fileInput: ['binary'],
+					},
+				},
+			},
+			{
+				displayName: 'Put Output File in Field',
+				name: 'binaryPropertyName',
+				type: 'string',
+				default: 'data',
+				required: true,
+				hint: 'The name of the output binary field to put the file in',
+				displayOptions: {
+					show: {
+						operation: ['readFile'],
+						fileOutput: ['binary'],
+					},
+				},
+			},
+			{
+				displayName: 'Revision Range',
+				name: 'patchRange',
+				type: 'string',
+				default: '',
+				required: true,
+				placeholder: 'origin/main..HEAD',
+				description:
+					'Commits to create patches for, for example A..B, or a single commit to include everything after it',
+				displayOptions: {
+					show: {
+						operation: ['createPatch'],
+					},
+				},
+			},
+			{
+				displayName: 'Put Output File in Field',
+				name: 'binaryPropertyName',
+				type: 'string',
+				default: 'data',
+				required: true,
+				hint: 'The name of the output binary field to put each patch file in',
+				displayOptions: {
+					show: {
+						operation: ['createPatch'],
+					},
+				},
+			},
+			{
+				displayName: 'Content',
+				name: 'fileContent',
+				type: 'string',
+				typeOptions: {
+					rows: 5,
+				},
+				default: '',
+				description: 'Text to write to the file',
+				displayOptions: {
+					show: {
+						operation: ['writeFile'],
+						fileInput: ['text'],
+					},
+				},
+			},
+			{
+				displayName: 'Stage File',
+				name: 'stageFile',
+				type: 'boolean',
+				default: false,
+				description: 'Whether to run git add on the file after writing it',
+				displayOptions: {
+					show: {
+						operation: ['writeFile'],
+					},
+				},
+			},
+			{
+				displayName: 'Mode',
+				name: 'diffMode',
+				type: 'options',
+				options: [
+					{
+						name: 'Index vs HEAD',
+						value: 'staged',
+						description: 'Show staged changes that would be committed',
+					},
+					{
+						name: 'Ref vs Ref',
+						value: 'refs',
+						description: 'Compare two commits, branches or tags',
+					},
+					{
+						name: 'Working Tree vs Index',
+						value: 'workingTree',
+						description: 'Show changes that are not staged yet',
+					},
+				],
+				default: 'workingTree',
+				displayOptions: {
+					show: {
+						operation: ['diff'],
+					},
+				},
+			},
+			{
+				displayName: 'From Ref',
+				name: 'fromRef',
+				type: 'string',
+				default: '',
+				required: true,
+				placeholder: 'main',
+				description: 'Commit, branch or tag to compare from',
+				displayOptions: {
+					show: {
+						operation: ['diff'],
+						diffMode: ['refs'],
+					},
+				},
+			},
+			{
+				displayName: 'To Ref',
+				name: 'toRef',
+				type: 'string',
+				default: '',
+				placeholder: 'feature',
+				description: 'Commit, branch or tag to compare to. Leave empty to compare with the working tree.',
+				displayOptions: {
+					show: {
+						operation: ['diff'],
+						diffMode: ['refs'],
+					},
+				},
+			},
+			{
+				displayName: 'Output',
+				name: 'diffOutput',
+				type: 'options',
+				options: [
+					{
+						name: 'Hunks',
+						value: 'hunks',
+						description: 'One item per file with its parsed hunks and lines',
+					},
+					{
+						name: 'Patch',
+						value: 'patch',
+						description: 'The unified patch text, ready for the Apply Patch operation',
+					},
+					{
+						name: 'Summary',
+						value: 'summary',
+						description: 'One item per file with added and deleted line counts',
+					},
+				],
+				default: 'patch',
+				displayOptions: {
+					show: {
+						operation: ['diff'],
+					},
+				},
+			},
+			{
+				displayName: 'Options',
+				name: 'diffOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				displayOptions: {
+					show: {
+						operation: ['diff'],
+					},
+				},
+				options: [
+					{
+						displayName: 'Context Lines',
+						name: 'contextLines',
+						type: 'number',
+						typeOptions: {
+							minValue: 0,
+						},
+						default: 3,
+						description: 'Number of unchanged lines to show around each change',
+					},
+					{
+						displayName: 'Paths',
+						name: 'paths',
+						type: 'string',
+						default: '',
+						placeholder: 'src, docs/README.md',
+						description: 'Comma-separated list of paths to limit the diff to',
+					},
+				],
+			},
+			{
+				displayName: 'Options',
+				name: 'branchOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				displayOptions: {
+					show: {
+						operation: ['branches'],
+					},
+				},
+				options: [
+					{
+						displayName: 'Include Remote Branches',
+						name: 'includeRemote',
+						type: 'boolean',
+						default: false,
+						description: 'Whether to also list remote-tracking branches',
+					},
+					{
+						displayName: 'Merged Into',
+						name: 'merged',
+						type: 'string',
+						default: '',
+						placeholder: 'main',
+						description: 'Only list branches whose tip is reachable from this commit',
+					},
+					{
+						displayName: 'Not Merged Into',
+						name: 'noMerged',
+						type: 'string',
+						default: '',
+						placeholder: 'main',
+						description: 'Only list branches whose tip is not reachable from this commit',
+					},
+					{
+						displayName: 'Pattern',
+						name: 'pattern',
+						type: 'string',
+						default: '',
+						placeholder: 'feature/*',
+						description: 'Glob pattern the branch names must match',
+					},
+				],
+			},
+			{
+				displayName: 'Options',
+				name: 'logOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				displayOptions: {
+					show: {
+						operation: ['log', 'commits'],
+					},
+				},
+				options: [
+					{
+						displayName: 'Author',
+						name: 'author',
+						type: 'string',
+						default: '',
+						description: 'Only include commits whose author matches this pattern',
+					},
+					{
+						displayName: 'Max Count',
+						name: 'maxCount',
+						type: 'number',
+						typeOptions: {
+							minValue: 0,
+						},
+						default: 0,
+						description: 'Maximum number of commits to return. Use 0 for no limit.',
+					},
+					{
+						displayName: 'Merges',
+						name: 'merges',
+						type: 'options',
+						options: [
+							{
+								name: 'Exclude Merges',
+								value: 'exclude',
+							},
+							{
+								name: 'Include Merges',
+								value: 'include',
+							},
+							{
+								name: 'Only Merges',
+								value: 'only',
+							},
+						],
+						default: 'include',
+						description: 'Whether to include, exclude or only return merge commits',
+					},
+					{
+						displayName: 'Paths',
+						name: 'paths',
+						type: 'string',
+						default: '',
+						placeholder: 'src, docs/README.md',
+						description: 'Comma-separated list of paths to limit the commits to',
+					},
+					{
+						displayName: 'Revision Range',
+						name: 'revisionRange',
+						type: 'string',
+						default: '',
+						placeholder: 'v1.0.0..HEAD',
+						description: 'Revision or range of commits to list, for example A..B',
+					},
+					{
+						displayName: 'Since',
+						name: 'since',
+						type: 'string',
+						default: '',
+						placeholder: '2024-01-01',
+						description: 'Only include commits more recent than this date',
+					},
+					{
+						displayName: 'Until',
+						name: 'until',
+						type: 'string',
+						default: '',
+						placeholder: '2024-12-31',
+						description: 'Only include commits older than this date',
+					},
+				],
+			},
+			{
+				displayName: 'Lock Repository',
+				name: 'lockRepository',
+				type: 'boolean',
+				default: true,
+				description:
+					'Whether to hold a lock on the repository path while the command runs, so concurrent executions touching the same repository wait for each other',
+			},
+			{
+				displayName: 'Lock Options',
+				name: 'lockOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				displayOptions: {
+					show: {
+						lockRepository: [true],
+					},
+				},
+				options: [
+					{
+						displayName: 'Remove Stale Index Lock',
+						name: 'removeStaleIndexLock',
+						type: 'boolean',
+						default: false,
+						description:
+							'Whether to delete a .git/index.lock older than Stale After before running, as left behind by a crashed Git process. Output items then report the removed file in removedIndexLock.',
+					},
+					{
+						displayName: 'Stale After (Seconds)',
+						name: 'staleAfter',
+						type: 'number',
+						typeOptions: {
+							minValue: 1,
+						},
+						default: 600,
+						description:
+							'Time without a refresh after which a lock taken on another host is treated as abandoned. Locks whose process has exited on the same host are taken over immediately. Also the minimum age of an index.lock removed by Remove Stale Index Lock.',
+					},
+					{
+						displayName: 'Wait Timeout (Seconds)',
+						name: 'waitTimeout',
+						type: 'number',
+						typeOptions: {
+							minValue: 0,
+						},
+						default: 60,
+						description: 'How long to wait for another execution to release the lock before failing',
+					},
+				],
+			},
+			{
+				displayName: 'Large Output',
+				name: 'largeOutputOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				description:
+					'Output larger than the threshold is streamed to binary data or a temporary file and the JSON only gets a preview. Operations returning parsed items fail instead.',
+				options: [
+					{
+						displayName: 'Binary Property',
+						name: 'binaryProperty',
+						type: 'string',
+						default: 'stdout',
+						description: 'Binary property to put the full output in when storing it as binary data',
+					},
+					{
+						displayName: 'Preview Length',
+						name: 'previewLength',
+						type: 'number',
+						typeOptions: {
+							minValue: 0,
+						},
+						default: 2000,
+						description: 'Number of characters of the output to include in the JSON preview',
+					},
+					{
+						displayName: 'Store In',
+						name: 'storeIn',
+						type: 'options',
+						options: [
+							{
+								name: 'Binary Data',
+								value: 'binary',
+							},
+							{
+								name: 'Temporary File',
+								value: 'file',
+								description: 'Return the path of a temporary file that the workflow must delete',
+							},
+						],
+						default: 'binary',
+					},
+					{
+						displayName: 'Threshold (KB)',
+						name: 'threshold',
+						type: 'number',
+						typeOptions: {
+							minValue: 0,
+						},
+						default: 1024,
+						description: 'Output size above which it is no longer kept in memory',
+					},
+				],
+			},
+			{
+				displayName: 'Retry',
+				name: 'retryOptions',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				description:
+					'Retries commands that fail with transient network errors. Authentication failures and rejected pushes are never retried.',
+				displayOptions: {
+					show: {
+						operation: ['clone', 'push', 'pull', 'fetch', 'lfsPush', 'submodules', 'tag'],
+					},
+					hide: {
+						submoduleAction: ['init', 'status', 'sync'],
+						tagAction: ['create', 'delete', 'list'],
+					},
+				},
+				options: [
+					{
+						displayName: 'Backoff Multiplier',
+						name: 'backoffMultiplier',
+						type: 'number',
+						typeOptions: {
+							minValue: 1,
+						},
+						default: 2,
+						description: 'Factor applied to the delay after every failed attempt',
+					},
+					{
+						displayName: 'Initial Delay (Ms)',
+						name: 'initialDelay',
+						type: 'number',
+						typeOptions: {
+							minValue: 0,
+						},
+						default: 1000,
+						description: 'Time to wait before the first retry',
+					},
+					{
+						displayName: 'Jitter',
+						name: 'jitter',
+						type: 'boolean',
+						default: true,
+						description:
+							'Whether to wait a random 50–100% of each delay so parallel executions do not retry in lockstep',
+					},
+					{
+						displayName: 'Max Attempts',
+						name: 'maxAttempts',
+						type: 'number',
+						typeOptions: {
+							minValue: 1,
+						},
+						default: 3,
+						description: 'Total number of attempts, including the first one',
+					},
+				],
+			},
+			{
+				displayName: 'Timeout (Seconds)',
+				name: 'timeout',
+				type: 'number',
+				typeOptions: {
+					minValue: 0,
+				},
+				default: 0,
+				description:
+					'Maximum time the Git commands may run before they are stopped. Use 0 for no timeout.',
+			},
                         {
                                 displayName: 'Skip Stdout',
                                 name: 'skipStdout',
@@ -864,6 +3656,7 @@ export class GitExtended implements INodeType {
 		const returnData: INodeExecutionData[] = [];
 
 		for (let i = 0; i < items.length; i++) {
+			const secrets: string[] = [];
 			try {
 				const operation = this.getNodeParameter('operation', i) as Operation;
 				const repoPath = this.getNodeParameter('repoPath', i) as string;
@@ -875,36 +3668,219 @@ export class GitExtended implements INodeType {
 					});
 				}
 
-                                const { command, tempFile } = await builder.call(this, i, repoPath);
-
-                                const skipStdout = this.getNodeParameter('skipStdout', i, false) as boolean;
-
-                                let stdout = '';
-                                let stderr = '';
-                                try {
-                                        if (skipStdout) {
-                                                await execNoOutput(command);
-                                        } else {
-                                                ({ stdout, stderr } = await exec(command));
-                                        }
-                                } finally {
-                                        if (tempFile) await fs.unlink(tempFile);
-                                }
-                                returnData.push({
-                                        json: skipStdout
-                                                ? {}
-                                                : { stdout: stdout.trim(), stderr: stderr.trim() },
-                                });
+				const lockRepository = this.getNodeParameter('lockRepository', i, true) as boolean;
+				const lockOptions = this.getNodeParameter('lockOptions', i, {}) as IDataObject;
+				const staleAfter = ((lockOptions.staleAfter as number) ?? 600) * 1000;
+				const releaseLock = lockRepository
+					? await acquireRepositoryLock(
+							repoPath,
+							((lockOptions.waitTimeout as number) ?? 60) * 1000,
+							staleAfter,
+						)
+					: undefined;
+				const firstOutput = returnData.length;
+				let removedIndexLock: string | undefined;
+				try {
+					if (lockOptions.removeStaleIndexLock) {
+						removedIndexLock = await removeStaleIndexLock(repoPath, staleAfter);
+					}
+					const {
+						commands,
+						message,
+						tempFile,
+						items,
+						parse,
+						recover,
+						network,
+						prepare,
+						remoteUrl,
+						streamable,
+					} = await builder.call(this, i, repoPath);
+
+					const skipStdout = this.getNodeParameter('skipStdout', i, false) as boolean;
+					const { timeout, signal } = getExecLimits.call(this, i);
+					const isNetwork = network || networkOperations.includes(operation);
+					const retry = isNetwork
+						? (this.getNodeParameter('retryOptions', i, {}) as RetryOptions)
+						: {};
+					const attempts: Attempt[] = [];
+
+					const largeOutput = this.getNodeParameter('largeOutputOptions', i, {}) as IDataObject;
+					const spool = createOutputSpool(
+						((largeOutput.threshold as number) ?? 1024) * 1024,
+						secrets,
+					);
+					let spilled: { file?: string; size: number } | undefined;
+
+					let stdout = message ?? '';
+					let stderr = '';
+					let auth: Authentication | undefined;
+					let prepared: Authentication | undefined;
+					let recovered: IDataObject | IDataObject[] | undefined;
+					try {
+						if (isNetwork) {
+							auth = await prepareAuthentication.call(this, i, remoteUrl);
+							if (auth) secrets.push(...auth.secrets);
+						}
+						if (prepare) {
+							prepared = await prepare();
+							secrets.push(...prepared.secrets);
+						}
+						const wrappers = [auth, prepared].filter((entry): entry is Authentication => !!entry);
+						try {
+							for (const baseCommand of commands) {
+								const command = wrappers.length
+									? {
+											args: [...wrappers.flatMap(({ configArgs }) => configArgs), ...baseCommand.args],
+											env: Object.assign({}, baseCommand.env, ...wrappers.map(({ env }) => env)),
+										}
+									: baseCommand;
+								const output = await runGitWithRetry(
+									command,
+									{
+										captureOutput: !skipStdout,
+										timeout,
+										signal,
+										stdout: skipStdout ? undefined : spool.sink,
+									},
+									retry,
+									attempts,
+								);
+								stderr += output.stderr;
+							}
+							spilled = await spool.finish();
+						} catch (error) {
+							(error as ExecError).stdout ||= spool.text();
+							await spool.discard();
+							recovered = recover ? await recover(error) : undefined;
+							if (!recovered) throw error;
+						}
+					} finally {
+						if (tempFile) await fs.unlink(tempFile);
+						if (!spilled) await spool.discard();
+						if (auth) await auth.cleanup();
+						if (prepared) await prepared.cleanup();
+					}
+					if (items) {
+						returnData.push(...items.map((item) => ({ ...item, pairedItem: i })));
+						continue;
+					}
+					if (recovered) {
+						for (const json of Array.isArray(recovered) ? recovered : [recovered]) {
+							returnData.push({ json, pairedItem: i });
+						}
+						continue;
+					}
+					stdout = redact(stdout + spool.text(), secrets);
+					stderr = redact(stderr, secrets);
+					// Output past the threshold is returned as binary data or a file with a preview;
+					// parsing it would need the whole output in memory
+					if (spilled?.file && parse && !streamable) {
+						await fs.rm(spilled.file, { force: true });
+						throw new NodeOperationError(
+							this.getNode(),
+							`The output of ${operation} is ${spilled.size} bytes, more than the Large Output threshold, and cannot be parsed`,
+							{
+								itemIndex: i,
+								description:
+									'Narrow the query, for example with a path, a revision range or a limit, or raise the Threshold in the Large Output options',
+							},
+						);
+					}
+					if (spilled?.file) {
+						const previewLength = (largeOutput.previewLength as number) ?? 2000;
+						const json: IDataObject = {
+							stdout: stdout.slice(0, previewLength),
+							stderr: stderr.trim(),
+							truncated: true,
+							stdoutSize: spilled.size,
+						};
+						if (largeOutput.storeIn === 'file') {
+							json.stdoutFile = spilled.file;
+							returnData.push({ json, pairedItem: i });
+							continue;
+						}
+						const binaryProperty = (largeOutput.binaryProperty as string) || 'stdout';
+						try {
+							const binary = await this.helpers.prepareBinaryData(
+								createReadStream(spilled.file),
+								`${operation}.txt`,
+								'text/plain',
+							);
+							returnData.push({ json, binary: { [binaryProperty]: binary }, pairedItem: i });
+						} finally {
+							await fs.rm(spilled.file, { force: true });
+						}
+						continue;
+					}
+					if (parse && !skipStdout) {
+						const parsed = await parse(stdout, stderr);
+						for (const json of Array.isArray(parsed) ? parsed : [parsed]) {
+							returnData.push({ json, pairedItem: i });
+						}
+						continue;
+					}
+					const json: IDataObject = skipStdout
+						? {}
+						: { stdout: stdout.trim(), stderr: stderr.trim() };
+					// Retried commands report the stderr of every attempt
+					if (attempts.some(({ attempt }) => attempt > 1)) {
+						json.attempts = attempts.map((attempt) => ({
+							...attempt,
+							stderr: redact(attempt.stderr, secrets),
+						}));
+					}
+					returnData.push({ json });
+				} finally {
+					await releaseLock?.();
+					for (const { json } of returnData.slice(firstOutput)) {
+						if (removedIndexLock) json.removedIndexLock = removedIndexLock;
+					}
+				}
 			} catch (error) {
+				redactError(error, secrets);
+				const failure = error as ExecError & { code?: unknown; cmd?: string; attempts?: Attempt[] };
+				const text = (value: unknown) => (typeof value === 'string' ? value.trim() : '');
+				const attempts = failure.attempts && failure.attempts.length > 1 ? failure.attempts : undefined;
+				for (const attempt of attempts ?? []) attempt.stderr = redact(attempt.stderr, secrets);
+				// A stable code plus the process details lets workflows route on the kind of failure
+				const details: IDataObject = {
+					code:
+						error instanceof GitTimeoutError
+							? 'TIMEOUT'
+							: classifyGitError(
+									// The message of a failed command repeats its arguments, such as a commit
+									// message, so only the process output decides the code
+									(failure.cmd === undefined
+										? [failure.stderr, failure.stdout, failure.message]
+										: [failure.stderr, failure.stdout]
+									)
+										.map(text)
+										.join('\n'),
+								),
+					exitCode: typeof failure.code === 'number' ? failure.code : null,
+					command: failure.cmd ?? null,
+					stdout: text(failure.stdout),
+					stderr: text(failure.stderr),
+				};
+				if (attempts) details.attempts = attempts;
 				if (this.continueOnFail()) {
-					returnData.push({ json: { error: (error as Error).message }, pairedItem: i });
+					returnData.push({ json: { error: failure.message, ...details }, pairedItem: i });
 					continue;
 				}
 				if ((error as any).context) {
 					(error as any).context.itemIndex = i;
 					throw error;
 				}
-				throw new NodeOperationError(this.getNode(), error, { itemIndex: i });
+				let description = `Error code: ${details.code}`;
+				if (error instanceof GitTimeoutError) {
+					description +=
+						'. The git process and the processes it started were stopped. Increase the Timeout option if the operation needs more time.';
+				}
+				for (const { attempt, exitCode, stderr } of attempts ?? []) {
+					description += `\nAttempt ${attempt} (exit code ${exitCode}): ${stderr}`;
+				}
+				throw new NodeOperationError(this.getNode(), error, { itemIndex: i, description });
 			}
 		}
 
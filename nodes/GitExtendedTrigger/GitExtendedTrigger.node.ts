@@ -0,0 +1,309 @@
+import type {
+	IDataObject,
+	INodeExecutionData,
+	INodeType,
+	INodeTypeDescription,
+	IPollFunctions,
+} from 'n8n-workflow';
+import { NodeConnectionType, NodeOperationError } from 'n8n-workflow';
+import { execFile as execFileCallback } from 'child_process';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { promisify } from 'util';
+import type { Authentication } from '../GitExtended/GenericFunctions';
+import {
+	LOG_FORMAT,
+	globToRegExp,
+	parseLog,
+	parseLsRemote,
+	redactError,
+	setupBasicAuthentication,
+} from '../GitExtended/GenericFunctions';
+
+const execFile = promisify(execFileCallback);
+
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+type RefChange = { ref: string; name: string; before: string | null; after: string | null };
+
+// Compares two ref snapshots and returns created, updated and deleted refs
+function diffRefs(previous: Record<string, string>, current: Record<string, string>) {
+	const changes: RefChange[] = [];
+	for (const ref of new Set([...Object.keys(previous), ...Object.keys(current)])) {
+		const before = previous[ref] ?? null;
+		const after = current[ref] ?? null;
+		if (before === after) continue;
+		changes.push({ ref, name: ref.replace(/^refs\/(heads|tags)\//, ''), before, after });
+	}
+	return changes;
+}
+
+const changeType = ({ before, after }: RefChange) =>
+	!before ? 'created' : !after ? 'deleted' : 'updated';
+
+export class GitExtendedTrigger implements INodeType {
+	description: INodeTypeDescription = {
+		displayName: 'Git Extended Trigger',
+		name: 'gitExtendedTrigger',
+		icon: 'file:gitExtendedTrigger.svg',
+		group: ['trigger'],
+		version: 1,
+		subtitle: '={{$parameter["events"].join(", ")}}',
+		description: 'Starts the workflow when a remote Git repository gets new commits or tags',
+		defaults: {
+			name: 'Git Extended Trigger',
+		},
+		polling: true,
+		inputs: [],
+		outputs: [NodeConnectionType.Main],
+		credentials: [
+			{
+				name: 'gitExtendedApi',
+				required: true,
+				displayOptions: {
+					show: {
+						authentication: ['gitExtendedApi'],
+					},
+				},
+			},
+		],
+		properties: [
+			{
+				displayName: 'Repository URL',
+				name: 'repositoryUrl',
+				type: 'string',
+				default: '',
+				required: true,
+				placeholder: 'https://github.com/example/repo.git',
+				description: 'URL of the remote repository to watch',
+			},
+			{
+				displayName: 'Authentication',
+				name: 'authentication',
+				type: 'options',
+				options: [
+					{
+						name: 'Authenticate',
+						value: 'gitExtendedApi',
+					},
+					{
+						name: 'None',
+						value: 'none',
+					},
+				],
+				default: 'none',
+			},
+			{
+				displayName: 'Events',
+				name: 'events',
+				type: 'multiOptions',
+				options: [
+					{
+						name: 'Branch Change',
+						value: 'branch',
+						description: 'A matching branch was created, updated or deleted',
+					},
+					{
+						name: 'New Commit',
+						value: 'commit',
+						description: 'A matching branch received a commit',
+					},
+					{
+						name: 'Tag Change',
+						value: 'tag',
+						description: 'A matching tag was created, moved or deleted',
+					},
+				],
+				default: ['commit'],
+				required: true,
+			},
+			{
+				displayName: 'Branch Pattern',
+				name: 'branchPattern',
+				type: 'string',
+				default: '**',
+				description:
+					'Glob matched against branch names such as `main` or `release/*`. Use `**` to watch every branch.',
+				displayOptions: {
+					show: {
+						events: ['branch', 'commit'],
+					},
+				},
+			},
+			{
+				displayName: 'Tag Pattern',
+				name: 'tagPattern',
+				type: 'string',
+				default: '**',
+				description: 'Glob matched against tag names such as `v*`. Use `**` to watch every tag.',
+				displayOptions: {
+					show: {
+						events: ['tag'],
+					},
+				},
+			},
+			{
+				displayName: 'Options',
+				name: 'options',
+				type: 'collection',
+				placeholder: 'Add Option',
+				default: {},
+				options: [
+					{
+						displayName: 'Max Commits per Branch',
+						name: 'maxCommits',
+						type: 'number',
+						typeOptions: {
+							minValue: 1,
+						},
+						default: 100,
+						description: 'Maximum number of new commits to emit for a single branch per poll',
+					},
+				],
+			},
+		],
+	};
+
+	async poll(this: IPollFunctions): Promise<INodeExecutionData[][] | null> {
+		const repositoryUrl = this.getNodeParameter('repositoryUrl') as string;
+		const events = this.getNodeParameter('events', []) as string[];
+		const branchPattern = globToRegExp(this.getNodeParameter('branchPattern', '**') as string);
+		const tagPattern = globToRegExp(this.getNodeParameter('tagPattern', '**') as string);
+		const options = this.getNodeParameter('options', {}) as IDataObject;
+		const maxCommits = (options.maxCommits as number) ?? 100;
+
+		// Last seen commit per ref, reset whenever the watched repository changes
+		const staticData = this.getWorkflowStaticData('node');
+		const previous =
+			staticData.repositoryUrl === repositoryUrl
+				? (staticData.refs as Record<string, string> | undefined)
+				: undefined;
+		const manual = this.getMode() === 'manual';
+
+		const secrets: string[] = [];
+		let auth: Authentication | undefined;
+		try {
+			if (this.getNodeParameter('authentication', 'none') === 'gitExtendedApi') {
+				auth = await setupBasicAuthentication(await this.getCredentials('gitExtendedApi'));
+				secrets.push(...auth.secrets);
+			}
+			const git = async (args: string[]) =>
+				await execFile('git', [...(auth?.configArgs ?? []), ...args], {
+					env: { ...process.env, GIT_TERMINAL_PROMPT: '0', ...auth?.env },
+					maxBuffer: MAX_BUFFER,
+				});
+
+			// The URL follows -- so that git never reads it as an option
+			const { stdout } = await git(['ls-remote', '--heads', '--tags', '--', repositoryUrl]);
+			const current: Record<string, string> = {};
+			for (const [ref, commit] of Object.entries(parseLsRemote(stdout))) {
+				const branch = /^refs\/heads\/(.+)$/.exec(ref);
+				const tag = /^refs\/tags\/(.+)$/.exec(ref);
+				if ((branch && branchPattern.test(branch[1])) || (tag && tagPattern.test(tag[1]))) {
+					current[ref] = commit;
+				}
+			}
+			if (!manual) {
+				staticData.repositoryUrl = repositoryUrl;
+				staticData.refs = current;
+			}
+			// The first poll only records the current state; a manual run shows the latest commits
+			if (!previous && !manual) return null;
+
+			const changes = diffRefs(previous ?? {}, current);
+			const branchChanges = changes.filter(({ ref }) => ref.startsWith('refs/heads/'));
+			const tagChanges = changes.filter(({ ref }) => ref.startsWith('refs/tags/'));
+			const returnData: INodeExecutionData[] = [];
+
+			if (events.includes('branch')) {
+				for (const change of branchChanges) {
+					returnData.push({ json: { event: 'branch', change: changeType(change), ...change } });
+				}
+			}
+			if (events.includes('tag')) {
+				for (const change of tagChanges) {
+					returnData.push({ json: { event: 'tag', change: changeType(change), ...change } });
+				}
+			}
+
+			const pushed = branchChanges.filter(({ after }) => after);
+			if (events.includes('commit') && pushed.length) {
+				const commits = await readNewCommits(
+					git,
+					repositoryUrl,
+					pushed,
+					previous ?? {},
+					previous ? maxCommits : 1,
+				);
+				returnData.push(...commits.map((json) => ({ json })));
+			}
+
+			return returnData.length ? [returnData] : null;
+		} catch (error) {
+			redactError(error, secrets);
+			throw new NodeOperationError(this.getNode(), error);
+		} finally {
+			await auth?.cleanup();
+		}
+	}
+}
+
+// Fetches the pushed branches into a bare cache repository kept per remote URL and lists the
+// commits that were not reachable from any previously seen branch head
+async function readNewCommits(
+	git: (args: string[]) => Promise<{ stdout: string }>,
+	repositoryUrl: string,
+	pushed: RefChange[],
+	previous: Record<string, string>,
+	maxCommits: number,
+): Promise<IDataObject[]> {
+	const hash = createHash('sha256').update(repositoryUrl).digest('hex').slice(0, 16);
+	const cacheDir = join(tmpdir(), 'n8n-git-extended-trigger', hash);
+	await fs.mkdir(cacheDir, { recursive: true });
+	await git(['init', '--quiet', '--bare', cacheDir]);
+	await git([
+		'-C',
+		cacheDir,
+		'fetch',
+		'--quiet',
+		'--no-tags',
+		'--',
+		repositoryUrl,
+		...pushed.map(({ ref }) => `+${ref}:${ref}`),
+	]);
+
+	// Heads from the previous poll that are still present; rewritten history may have dropped some
+	const seen: string[] = [];
+	for (const [ref, commit] of Object.entries(previous)) {
+		if (!ref.startsWith('refs/heads/')) continue;
+		try {
+			await git(['-C', cacheDir, 'cat-file', '-e', `${commit}^{commit}`]);
+			seen.push(commit);
+		} catch {}
+	}
+
+	const items: IDataObject[] = [];
+	for (const { ref, name, after } of pushed) {
+		const { stdout } = await git([
+			'-C',
+			cacheDir,
+			'log',
+			`--format=${LOG_FORMAT}`,
+			'--name-status',
+			'--reverse',
+			`--max-count=${maxCommits}`,
+			after as string,
+			'--not',
+			...seen,
+			'--',
+		]);
+		for (const commit of parseLog(stdout)) {
+			items.push({ event: 'commit', branch: name, ref, ...commit });
+		}
+		// A commit pushed to several branches in the same poll is only emitted for the first one
+		seen.push(after as string);
+	}
+	return items;
+}
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { GitExtendedTrigger } = require('../dist/nodes/GitExtendedTrigger/GitExtendedTrigger.node.js');
+
+class PollContext {
+	constructor(parameters, staticData = {}, mode = 'trigger') {
+		this.parameters = parameters;
+		this.staticData = staticData;
+		this.mode = mode;
+	}
+	getNodeParameter(name, fallback) {
+		return name in this.parameters ? this.parameters[name] : fallback;
+	}
+	getWorkflowStaticData() {
+		return this.staticData;
+	}
+	getMode() {
+		return this.mode;
+	}
+	async getCredentials() {
+		return {};
+	}
+	getNode() {
+		return { name: 'GitExtendedTrigger' };
+	}
+}
+
+test('poll emits new commits and tag changes since the last poll', async () => {
+	const remoteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-trigger-remote-'));
+	const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-trigger-work-'));
+	const git = (command) =>
+		require('child_process').execSync(command, { cwd: workDir }).toString().trim();
+	require('child_process').execSync('git init --bare', { cwd: remoteDir });
+	git('git init');
+	git('git config user.email "test@example.com"');
+	git('git config user.name "Test"');
+	fs.writeFileSync(path.join(workDir, 'file.txt'), 'one\n');
+	git('git add file.txt');
+	git('git commit -m one');
+	git(`git push ${remoteDir} master`);
+
+	const node = new GitExtendedTrigger();
+	const staticData = {};
+	const parameters = {
+		repositoryUrl: remoteDir,
+		events: ['commit', 'tag'],
+		branchPattern: 'master',
+		tagPattern: 'v*',
+	};
+	assert.strictEqual(await node.poll.call(new PollContext(parameters, staticData)), null);
+	assert.strictEqual(await node.poll.call(new PollContext(parameters, staticData)), null);
+
+	fs.writeFileSync(path.join(workDir, 'file.txt'), 'two\n');
+	git('git commit -am two');
+	fs.writeFileSync(path.join(workDir, 'file.txt'), 'three\n');
+	git('git commit -am three');
+	git('git tag -a v1.0.0 -m release');
+	git('git tag other');
+	git('git checkout -b feature');
+	git('git commit --allow-empty -m ignored');
+	git(`git push ${remoteDir} master feature --tags`);
+
+	const [items] = await node.poll.call(new PollContext(parameters, staticData));
+	assert.deepStrictEqual(
+		items.map(({ json }) => [json.event, json.subject ?? json.name]),
+		[
+			['tag', 'v1.0.0'],
+			['commit', 'two'],
+			['commit', 'three'],
+		],
+	);
+	assert.strictEqual(items[0].json.change, 'created');
+	assert.strictEqual(items[0].json.after, git('git rev-parse master'));
+	assert.strictEqual(items[2].json.branch, 'master');
+	assert.deepStrictEqual(items[2].json.files, [{ status: 'M', path: 'file.txt' }]);
+	assert.strictEqual(await node.poll.call(new PollContext(parameters, staticData)), null);
+
+	// Commits reaching several branches in one poll are emitted once
+	const allBranches = { ...parameters, events: ['commit'], branchPattern: '**' };
+	await node.poll.call(new PollContext(allBranches, staticData));
+	git('git checkout master');
+	git('git commit --allow-empty -m four');
+	git('git commit --allow-empty -m five');
+	git('git branch shared');
+	git(`git push ${remoteDir} master shared`);
+	const [shared] = await node.poll.call(new PollContext(allBranches, staticData));
+	assert.deepStrictEqual(
+		shared.map(({ json }) => json.subject),
+		['four', 'five'],
+	);
+
+	const marker = path.join(workDir, 'injected');
+	const optionUrl = { ...parameters, repositoryUrl: `--upload-pack=touch ${marker}; git-upload-pack` };
+	await assert.rejects(node.poll.call(new PollContext(optionUrl, {})));
+	assert.ok(!fs.existsSync(marker));
+	fs.rmSync(remoteDir, { recursive: true, force: true });
+	fs.rmSync(workDir, { recursive: true, force: true });
+});